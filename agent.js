@@ -0,0 +1,62 @@
+import fs from "fs";
+import https from "https";
+import tls from "tls";
+import tunnel from "tunnel";
+import { getProxyUrl } from "@actions/http-client/lib/proxy.js";
+
+/**
+ * @typedef {Object} TlsOptions
+ * @property {string} [ca] - Extra CA certificates trusted in addition to the default store, as PEM or a path to a PEM file
+ * @property {string} [cert] - Client certificate for mTLS, as PEM or a path to a PEM file
+ * @property {string} [key] - Client private key for mTLS, as PEM or a path to a PEM file
+ */
+
+/**
+ * Accept either inline PEM content or a path to a PEM file
+ * @param {string} value
+ * @returns {string}
+ */
+export function readPem(value) {
+  return value.includes("-----BEGIN ") ? value : fs.readFileSync(value, "utf8");
+}
+
+/**
+ * Create the agent used for requests to the Doppler API. Requests are routed through the proxy named by
+ * `HTTPS_PROXY` unless `NO_PROXY` excludes the API domain.
+ * @param {string} apiDomain
+ * @param {TlsOptions} [tlsOptions]
+ * @returns {https.Agent | undefined} undefined when neither a proxy nor TLS options apply, i.e. use the global agent
+ */
+export function createAgent(apiDomain, { ca, cert, key } = {}) {
+  if (Boolean(cert) !== Boolean(key)) {
+    throw new Error("A client certificate and client key must be provided together");
+  }
+
+  const agentOptions = {};
+  if (ca) {
+    agentOptions.ca = [...tls.rootCertificates, readPem(ca)];
+  }
+  if (cert) {
+    agentOptions.cert = readPem(cert);
+    agentOptions.key = readPem(key);
+  }
+
+  const proxyUrl = getProxyUrl(new URL(`https://${apiDomain}`));
+  if (!proxyUrl) {
+    return Object.keys(agentOptions).length > 0 ? new https.Agent(agentOptions) : undefined;
+  }
+
+  const proxy = {
+    host: proxyUrl.hostname,
+    port: proxyUrl.port || (proxyUrl.protocol === "https:" ? 443 : 80),
+  };
+  if (proxyUrl.username || proxyUrl.password) {
+    proxy.proxyAuth = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`;
+  }
+
+  if (proxyUrl.protocol === "https:") {
+    // TLS interception proxies are usually signed by the same extra CA
+    return tunnel.httpsOverHttps({ ...agentOptions, proxy: { ...proxy, ca: agentOptions.ca } });
+  }
+  return tunnel.httpsOverHttp({ ...agentOptions, proxy });
+}
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+import { spawn } from "child_process";
+import os from "os";
+import { revokeDynamicSecretLeases, revokeOidcToken } from "./cleanup.js";
+import { USAGE, parseCommandLine } from "./cli.js";
+import { OUTPUT_FORMATS, serialize } from "./formats.js";
+import { createInputReader } from "./inputs.js";
+import { run } from "./run.js";
+
+let commandLine;
+try {
+  commandLine = parseCommandLine(process.argv.slice(2), process.env);
+} catch (error) {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+const { options, format, command, help } = commandLine;
+if (help) {
+  console.log(USAGE);
+  process.exit();
+}
+if (!OUTPUT_FORMATS.includes(format)) {
+  console.error(`Unsupported format "${format}", expected one of ${OUTPUT_FORMATS.join(", ")}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+const state = {};
+// Logs go to stderr so the printed secrets can be redirected or evaluated
+const io = {
+  info: (message) => console.error(message),
+  warning: (message) => console.error(`Warning: ${message}`),
+  // There's no log masking outside of GitHub Actions and secrets are printed or passed to the command instead
+  setSecret: () => {},
+  setOutput: () => {},
+  exportVariable: () => {},
+  saveState: (name, value) => {
+    state[name] = value;
+  },
+  getIDToken: async () => {
+    if (!process.env.DOPPLER_OIDC_TOKEN) {
+      throw new Error("auth-method oidc requires the OIDC token of the CI job in DOPPLER_OIDC_TOKEN");
+    }
+    return process.env.DOPPLER_OIDC_TOKEN;
+  },
+};
+
+// There's no post step, what it revokes for the action is revoked here instead
+const cleanupIO = { ...io, ...createInputReader(options), getState: (name) => state[name] ?? "" };
+
+let values;
+try {
+  values = await run(options, io);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+  await revokeDynamicSecretLeases(cleanupIO);
+  await revokeOidcToken(cleanupIO);
+}
+
+if (values && command.length === 0) {
+  try {
+    process.stdout.write(serialize(values, format));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+    await revokeDynamicSecretLeases(cleanupIO);
+  }
+  // Printed dynamic secret credentials are used once this process exits, so their leases expire at the end of their TTL
+  await revokeOidcToken(cleanupIO);
+} else if (values) {
+  let exiting = false;
+  // The command is done with the credentials, an error may be followed by an exit event
+  const exit = async (code) => {
+    if (exiting) {
+      return;
+    }
+    exiting = true;
+    await revokeDynamicSecretLeases(cleanupIO);
+    await revokeOidcToken(cleanupIO);
+    process.exit(code);
+  };
+
+  const child = spawn(command[0], command.slice(1), { stdio: "inherit", env: { ...process.env, ...values } });
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => child.kill(signal));
+  }
+  child.on("error", (error) => {
+    console.error(`Error: Unable to run ${command[0]}: ${error.message}`);
+    exit(127);
+  });
+  child.on("exit", (code, signal) => exit(signal ? 128 + os.constants.signals[signal] : code));
+}
@@ -0,0 +1,79 @@
+import { createConfig, deleteConfig, getConfig, updateSecrets } from "./doppler.js";
+
+/**
+ * Name of the branch config for a suffix, e.g. `stg_pr-42` for the `stg` environment and `pr-42`
+ * @param {string} environment - Slug of the environment
+ * @param {string} suffix
+ * @returns {string}
+ */
+export function branchConfigName(environment, suffix) {
+  if (!/^[A-Za-z0-9_-]+$/.test(suffix)) {
+    throw new Error(`Invalid branch-config "${suffix}", only letters, digits, dashes and underscores are allowed`);
+  }
+  return `${environment}_${suffix}`;
+}
+
+/**
+ * Slug of the environment of a root config, which branch configs are created in and prefixed with. It usually matches
+ * the name of the root config, but not when either was renamed.
+ * @param {string} dopplerToken
+ * @param {string} dopplerProject
+ * @param {string} rootConfig
+ * @param {string} apiDomain
+ * @param {import("./doppler.js").RequestOptions} options
+ * @returns {Promise<string>}
+ */
+async function getRootEnvironment(dopplerToken, dopplerProject, rootConfig, apiDomain, options) {
+  const config = await getConfig(dopplerToken, dopplerProject, rootConfig, apiDomain, options);
+  if (!config) {
+    throw new Error(`Config ${dopplerProject}/${rootConfig} does not exist`);
+  }
+  if (!config.root) {
+    throw new Error(`branch-config requires a root config, ${dopplerProject}/${rootConfig} is a branch config of the ${config.environment} environment`);
+  }
+  return config.environment;
+}
+
+/**
+ * Make sure a branch config of the root config exists, then apply the override values
+ * @param {string} dopplerToken
+ * @param {string} dopplerProject
+ * @param {string} rootConfig
+ * @param {string} suffix
+ * @param {Record<string, string>} overrides - Set on every run, so reruns pick up changed values
+ * @param {string} apiDomain
+ * @param {import("./doppler.js").RequestOptions} [options]
+ * @returns {Promise<{ name: string, created: boolean }>}
+ */
+export async function ensureBranchConfig(dopplerToken, dopplerProject, rootConfig, suffix, overrides, apiDomain, options = {}) {
+  const environment = await getRootEnvironment(dopplerToken, dopplerProject, rootConfig, apiDomain, options);
+  const name = branchConfigName(environment, suffix);
+
+  const existing = await getConfig(dopplerToken, dopplerProject, name, apiDomain, options);
+  if (!existing) {
+    await createConfig(dopplerToken, dopplerProject, environment, name, apiDomain, options);
+  }
+
+  if (Object.keys(overrides).length > 0) {
+    await updateSecrets(dopplerToken, dopplerProject, name, overrides, apiDomain, options);
+  }
+
+  return { name, created: !existing };
+}
+
+/**
+ * Delete a branch config of the root config
+ * @param {string} dopplerToken
+ * @param {string} dopplerProject
+ * @param {string} rootConfig
+ * @param {string} suffix
+ * @param {string} apiDomain
+ * @param {import("./doppler.js").RequestOptions} [options]
+ * @returns {Promise<{ name: string, deleted: boolean }>}
+ */
+export async function deleteBranchConfig(dopplerToken, dopplerProject, rootConfig, suffix, apiDomain, options = {}) {
+  const environment = await getRootEnvironment(dopplerToken, dopplerProject, rootConfig, apiDomain, options);
+  const name = branchConfigName(environment, suffix);
+  const deleted = await deleteConfig(dopplerToken, dopplerProject, name, apiDomain, options);
+  return { name, deleted };
+}
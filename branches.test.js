@@ -0,0 +1,117 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert";
+import https from "https";
+import { branchConfigName, deleteBranchConfig, ensureBranchConfig } from "./branches.js";
+import { fetch } from "./doppler.js";
+import { mockDoppler } from "./mock-doppler.js";
+
+describe("Branch Configs", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe("branchConfigName()", () => {
+    it("should prefix the suffix with the environment", () => {
+      assert.strictEqual(branchConfigName("stg", "pr-42"), "stg_pr-42");
+    });
+
+    it("should reject suffixes Doppler doesn't accept", () => {
+      assert.throws(() => branchConfigName("stg", "feature/login"), { message: /Invalid branch-config "feature\/login"/ });
+    });
+  });
+
+  describe("ensureBranchConfig()", () => {
+    it("should create the branch config, seed overrides and fetch inherited secrets", async () => {
+      const api = mockDoppler({ web: { stg: { API_URL: "https://stg.example.com", DB_PASSWORD: "hunter2" } } });
+
+      const result = await ensureBranchConfig("dp.sa.test", "web", "stg", "pr-42", { API_URL: "https://pr-42.example.com" }, "api.doppler.com");
+      assert.deepStrictEqual(result, { name: "stg_pr-42", created: true });
+      assert.deepStrictEqual(
+        api.requests.map(({ method, path }) => `${method} ${path}`),
+        ["GET /v3/configs/config", "GET /v3/configs/config", "POST /v3/configs", "POST /v3/configs/config/secrets"]
+      );
+      assert.deepStrictEqual(api.requests[2].body, { project: "web", environment: "stg", name: "stg_pr-42" });
+
+      const secrets = await fetch("dp.sa.test", "web", "stg_pr-42", "api.doppler.com");
+      assert.strictEqual(secrets.API_URL.computed, "https://pr-42.example.com");
+      assert.strictEqual(secrets.DB_PASSWORD.computed, "hunter2");
+    });
+
+    it("should reuse an existing branch config", async () => {
+      const api = mockDoppler({ web: { stg: {}, "stg_pr-42": { API_URL: "https://pr-42.example.com" } } });
+
+      const result = await ensureBranchConfig("dp.sa.test", "web", "stg", "pr-42", {}, "api.doppler.com");
+      assert.deepStrictEqual(result, { name: "stg_pr-42", created: false });
+      assert.deepStrictEqual(api.requests.map(({ method, path }) => `${method} ${path}`), ["GET /v3/configs/config", "GET /v3/configs/config"]);
+    });
+
+    it("should create the branch config in the environment of a root config named differently", async () => {
+      const api = mockDoppler({ web: { staging: { API_URL: "https://stg.example.com" } } }, { environments: { "web/staging": "stg" } });
+
+      const result = await ensureBranchConfig("dp.sa.test", "web", "staging", "pr-42", {}, "api.doppler.com");
+      assert.deepStrictEqual(result, { name: "stg_pr-42", created: true });
+      assert.deepStrictEqual(api.requests[2].body, { project: "web", environment: "stg", name: "stg_pr-42" });
+
+      const secrets = await fetch("dp.sa.test", "web", "stg_pr-42", "api.doppler.com");
+      assert.strictEqual(secrets.API_URL.computed, "https://stg.example.com");
+    });
+
+    it("should reject a branch config as the root config", async () => {
+      const api = mockDoppler({ web: { stg: {}, "stg_pr-1": {} } });
+
+      await assert.rejects(
+        async () => await ensureBranchConfig("dp.sa.test", "web", "stg_pr-1", "pr-42", {}, "api.doppler.com"),
+        { message: "branch-config requires a root config, web/stg_pr-1 is a branch config of the stg environment" }
+      );
+      assert.deepStrictEqual(Object.keys(api.projects.web), ["stg", "stg_pr-1"]);
+    });
+
+    it("should not retry the creation after a network error", async () => {
+      mockDoppler({ web: { stg: {} } });
+      // The config may have been created, a retry would fail because it already exists
+      const served = https.request;
+      let creations = 0;
+      mock.method(https, "request", (url, options, callback) => {
+        if (options.method !== "POST") {
+          return served(url, options, callback);
+        }
+        creations++;
+        const pending = {
+          on: (event, handler) => {
+            if (event === "error") {
+              handler(Object.assign(new Error("socket hang up"), { code: "ECONNRESET" }));
+            }
+            return pending;
+          },
+          write: () => {},
+          end: () => {},
+        };
+        return pending;
+      });
+
+      await assert.rejects(ensureBranchConfig("dp.sa.test", "web", "stg", "pr-42", {}, "api.doppler.com", { baseDelay: 1 }), {
+        message: /socket hang up/,
+      });
+      assert.strictEqual(creations, 1);
+    });
+
+    it("should fail when the root config doesn't exist", async () => {
+      mockDoppler({ web: {} });
+
+      await assert.rejects(
+        async () => await ensureBranchConfig("dp.sa.test", "web", "stg", "pr-42", {}, "api.doppler.com"),
+        { message: "Config web/stg does not exist" }
+      );
+    });
+  });
+
+  describe("deleteBranchConfig()", () => {
+    it("should delete the branch config and tolerate it being gone", async () => {
+      const api = mockDoppler({ web: { stg: {}, "stg_pr-42": {} } });
+
+      assert.deepStrictEqual(await deleteBranchConfig("dp.sa.test", "web", "stg", "pr-42", "api.doppler.com"), { name: "stg_pr-42", deleted: true });
+      assert.deepStrictEqual(Object.keys(api.projects.web), ["stg"]);
+      assert.deepStrictEqual(await deleteBranchConfig("dp.sa.test", "web", "stg", "pr-42", "api.doppler.com"), { name: "stg_pr-42", deleted: false });
+    });
+  });
+});
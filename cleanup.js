@@ -0,0 +1,113 @@
+import fs from "fs";
+import { revokeToken } from "./doppler.js";
+import { getRequestOptions } from "./inputs.js";
+import { revokeLeases } from "./leases.js";
+
+/**
+ * What the post step reads the state of the main step from and reports through. `@actions/core` implements it.
+ * @typedef {Object} CleanupIO
+ * @property {(name: string) => string} getState
+ * @property {(name: string) => string} getInput
+ * @property {(message: string) => void} info
+ * @property {(message: string) => void} warning
+ * @property {(value: string) => void} setSecret
+ */
+
+/**
+ * Read a JSON array saved by the main step, warning instead of throwing when it can't be parsed
+ * @param {CleanupIO} io
+ * @param {string} name
+ * @returns {Array}
+ */
+function readListState(io, name) {
+  try {
+    const list = JSON.parse(io.getState(name) || "[]");
+    if (!Array.isArray(list)) {
+      throw new Error("expected a JSON array");
+    }
+    return list;
+  } catch (error) {
+    io.warning(`Unable to read the ${name} state: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Remove the files the main step wrote secrets to
+ * @param {CleanupIO} io
+ */
+export function removeSecretFiles(io) {
+  for (const filePath of readListState(io, "secret-files")) {
+    try {
+      fs.rmSync(filePath, { recursive: true, force: true });
+      io.info(`Removed ${filePath}`);
+    } catch (error) {
+      io.warning(`Unable to remove ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Revoke the dynamic secret leases issued by the main step. This runs before `revokeOidcToken()`, which revokes the token
+ * needed to do so.
+ * @param {CleanupIO} io
+ * @returns {Promise<void>}
+ */
+export async function revokeDynamicSecretLeases(io) {
+  const leases = readListState(io, "dynamic-secret-leases");
+  if (leases.length === 0) {
+    return;
+  }
+
+  const apiDomain = io.getState("api-domain");
+  let results;
+  try {
+    results = await revokeLeases(io.getState("oidc-token") || io.getInput("doppler-token"), leases, apiDomain, getRequestOptions(apiDomain, io));
+  } catch (error) {
+    // E.g. a certificate input that can no longer be read, the leases still expire at the end of their TTL
+    io.warning(`Unable to revoke the dynamic secret leases: ${error.message}`);
+    return;
+  }
+  for (const { lease, revoked, error } of results) {
+    const name = `${lease.dynamicSecret} lease ${lease.id}`;
+    if (error) {
+      io.warning(`Unable to revoke the ${name}: ${error.message}`);
+    } else {
+      io.info(revoked ? `Revoked the ${name}` : `The ${name} had already expired`);
+    }
+  }
+}
+
+/**
+ * Revoke the Doppler token obtained via OIDC by the main step
+ * @param {CleanupIO} io
+ * @returns {Promise<void>}
+ */
+export async function revokeOidcToken(io) {
+  const oidcToken = io.getState("oidc-token");
+  if (!oidcToken) {
+    return;
+  }
+
+  io.setSecret(oidcToken);
+  try {
+    const apiDomain = io.getState("api-domain");
+    await revokeToken(oidcToken, apiDomain, getRequestOptions(apiDomain, io));
+    io.info("Revoked the Doppler token obtained via OIDC");
+  } catch (error) {
+    // Revocation is best effort, the token expires on its own
+    io.warning(`Unable to revoke the Doppler token obtained via OIDC: ${error.message}`);
+  }
+}
+
+/**
+ * Remove the files the main step wrote secrets to, then revoke the dynamic secret leases and the Doppler token obtained
+ * via OIDC. Everything is best effort: failures are reported as warnings and never fail the job.
+ * @param {CleanupIO} io
+ * @returns {Promise<void>}
+ */
+export async function cleanup(io) {
+  removeSecretFiles(io);
+  await revokeDynamicSecretLeases(io);
+  await revokeOidcToken(io);
+}
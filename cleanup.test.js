@@ -0,0 +1,102 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import https from "https";
+import os from "os";
+import path from "path";
+import { cleanup } from "./cleanup.js";
+import { mockDoppler } from "./mock-doppler.js";
+
+/**
+ * Serve the given state and record what the post step reports
+ * @param {Record<string, string>} state
+ */
+function postIO(state) {
+  const io = { logs: [], secrets: [] };
+  io.getState = (name) => state[name] ?? "";
+  io.getInput = () => "";
+  io.info = (message) => io.logs.push(message);
+  io.warning = (message) => io.logs.push(`warning: ${message}`);
+  io.setSecret = (value) => io.secrets.push(value);
+  return io;
+}
+
+describe("cleanup()", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("should remove secret files and revoke the OIDC token", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "doppler-cleanup-"));
+    const file = path.join(dir, ".env");
+    fs.writeFileSync(file, "API_KEY=secret-value\n");
+    const { requests } = mockDoppler({});
+
+    const io = postIO({ "secret-files": JSON.stringify([file, dir]), "oidc-token": "dp.said.identity", "api-domain": "api.doppler.com" });
+    await cleanup(io);
+
+    assert.ok(!fs.existsSync(dir));
+    assert.deepStrictEqual(io.logs, [`Removed ${file}`, `Removed ${dir}`, "Revoked the Doppler token obtained via OIDC"]);
+    assert.deepStrictEqual(io.secrets, ["dp.said.identity"]);
+    assert.deepStrictEqual(requests.map(({ method, path, body }) => [method, path, body]), [["POST", "/v3/auth/revoke", { token: "dp.said.identity" }]]);
+  });
+
+  it("should warn instead of failing", async () => {
+    mock.method(https, "request", () => {
+      const request = {
+        on: (event, handler) => {
+          if (event === "error") {
+            const error = new Error("connect ECONNREFUSED");
+            error.code = "ECONNREFUSED";
+            handler(error);
+          }
+          return request;
+        },
+        write: () => {},
+        end: () => {},
+      };
+      return request;
+    });
+
+    const io = postIO({ "secret-files": "not json", "oidc-token": "dp.said.identity", "api-domain": "api.doppler.com" });
+    await cleanup(io);
+
+    assert.match(io.logs[0], /^warning: Unable to read the secret-files state/);
+    assert.match(io.logs[1], /^warning: Unable to revoke the Doppler token obtained via OIDC: .*ECONNREFUSED/);
+  });
+
+  it("should warn when the request options can't be read", async () => {
+    const io = postIO({ "oidc-token": "dp.said.identity", "api-domain": "api.doppler.com" });
+    io.getInput = (name) => (name === "ca-certificate" ? path.join(os.tmpdir(), "missing-ca.pem") : "");
+
+    await cleanup(io);
+
+    assert.match(io.logs[0], /^warning: Unable to revoke the Doppler token obtained via OIDC: ENOENT/);
+  });
+
+  it("should revoke dynamic secret leases before the OIDC token", async () => {
+    const { leases, requests } = mockDoppler({ api: { prd: {} } }, { dynamicSecrets: ["DB"] });
+    leases["lease-1"] = { revoked: false };
+    const records = [
+      { project: "api", config: "prd", dynamicSecret: "DB", id: "lease-1" },
+      { project: "api", config: "prd", dynamicSecret: "DB", id: "lease-2" },
+    ];
+
+    const io = postIO({ "dynamic-secret-leases": JSON.stringify(records), "oidc-token": "dp.said.identity", "api-domain": "api.doppler.com" });
+    await cleanup(io);
+
+    assert.deepStrictEqual(io.logs, ["Revoked the DB lease lease-1", "The DB lease lease-2 had already expired", "Revoked the Doppler token obtained via OIDC"]);
+    assert.strictEqual(requests[0].body.slug, "lease-1");
+    assert.strictEqual(requests.at(-1).path, "/v3/auth/revoke");
+  });
+
+  it("should warn when the leases can't be revoked", async () => {
+    mockDoppler({ api: { prd: {} } }, { dynamicSecrets: ["DB"] });
+    const io = postIO({ "dynamic-secret-leases": JSON.stringify([{ project: "api", config: "prd", dynamicSecret: "DB", id: "lease-1" }]), "api-domain": "api.doppler.com" });
+    io.getInput = (name) => (name === "ca-certificate" ? path.join(os.tmpdir(), "missing-ca.pem") : "");
+
+    await cleanup(io);
+
+    assert.match(io.logs[0], /^warning: Unable to revoke the dynamic secret leases: ENOENT/);
+  });
+});
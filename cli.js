@@ -0,0 +1,63 @@
+import { parseArgs } from "util";
+import { INPUT_NAMES } from "./inputs.js";
+
+export const USAGE = `Usage: doppler-secrets-fetch [options] [-- command [args...]]
+
+Fetch secrets from Doppler and print them, or run a command with the secrets as environment variables.
+
+Options are the inputs of the GitHub Action, e.g. --doppler-token, --include or --output-file. Repeat an option to
+pass several lines. Each option can also be set through an environment variable named after it, prefixed with
+DOPPLER_ unless it already starts with doppler-: DOPPLER_TOKEN, DOPPLER_PROJECT, DOPPLER_INCLUDE, etc.
+
+  --format <format>  Format of the secrets printed when no command is given: dotenv (default), json, yaml, docker or shell
+  -h, --help         Show this help
+
+With auth-method oidc, the OIDC token of the CI job is read from DOPPLER_OIDC_TOKEN.`;
+
+/**
+ * Name of the environment variable an option is read from, e.g. DOPPLER_TOKEN for `doppler-token`
+ * and DOPPLER_INCLUDE for `include`
+ * @param {string} option
+ * @returns {string}
+ */
+export function envName(option) {
+  const name = option.toUpperCase().replace(/-/g, "_");
+  return name.startsWith("DOPPLER_") ? name : `DOPPLER_${name}`;
+}
+
+/**
+ * Parse the command line. Flags take precedence over environment variables.
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Record<string, string | undefined>} env
+ * @returns {{ options: Record<string, string>, format: string, command: string[], help: boolean }}
+ */
+export function parseCommandLine(argv, env) {
+  // Everything after `--` belongs to the command, including its own flags
+  const separator = argv.indexOf("--");
+  const args = separator === -1 ? argv : argv.slice(0, separator);
+  const command = separator === -1 ? [] : argv.slice(separator + 1);
+
+  const { values } = parseArgs({
+    args,
+    options: {
+      ...Object.fromEntries(INPUT_NAMES.map((name) => [name, { type: "string", multiple: true }])),
+      format: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  const options = {};
+  for (const name of INPUT_NAMES) {
+    const value = values[name]?.join("\n") ?? env[envName(name)];
+    if (value !== undefined) {
+      options[name] = value;
+    }
+  }
+
+  return {
+    options,
+    format: values.format ?? env[envName("format")] ?? "dotenv",
+    command,
+    help: values.help ?? false,
+  };
+}
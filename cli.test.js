@@ -0,0 +1,34 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { envName, parseCommandLine } from "./cli.js";
+
+describe("CLI", () => {
+  describe("envName()", () => {
+    it("should prefix option names with DOPPLER_ once", () => {
+      assert.strictEqual(envName("doppler-token"), "DOPPLER_TOKEN");
+      assert.strictEqual(envName("retry-max-attempts"), "DOPPLER_RETRY_MAX_ATTEMPTS");
+    });
+  });
+
+  describe("parseCommandLine()", () => {
+    it("should read options from flags then environment variables", () => {
+      const env = { DOPPLER_TOKEN: "dp.st.env", DOPPLER_KEY_PREFIX: "APP_", DOPPLER_FORMAT: "json" };
+      const { options, format, command, help } = parseCommandLine(["--doppler-token", "dp.st.flag", "--include", "A", "--include", "B"], env);
+      assert.deepStrictEqual(options, { "doppler-token": "dp.st.flag", "include": "A\nB", "key-prefix": "APP_" });
+      assert.strictEqual(format, "json");
+      assert.deepStrictEqual(command, []);
+      assert.strictEqual(help, false);
+    });
+
+    it("should leave everything after -- to the command", () => {
+      const { options, format, command } = parseCommandLine(["--format", "shell", "--", "node", "server.js", "--include", "x"], {});
+      assert.deepStrictEqual(options, {});
+      assert.strictEqual(format, "shell");
+      assert.deepStrictEqual(command, ["node", "server.js", "--include", "x"]);
+    });
+
+    it("should reject unknown flags", () => {
+      assert.throws(() => parseCommandLine(["--doppler-tokn", "x"], {}), { message: /Unknown option '--doppler-tokn'/ });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import crypto from "crypto";
+import { DOPPLER_META } from "./doppler.js";
+import { describeSource } from "./sources.js";
+
+// Each level fails on everything the previous levels fail on
+export const STRICTNESS_LEVELS = ["none", "missing", "extra", "values"];
+
+/**
+ * @typedef {Object} ConfigDrift
+ * @property {string} config - `project/config`
+ * @property {string[]} missing - Keys in the baseline but not in this config
+ * @property {string[]} extra - Keys in this config but not in the baseline
+ * @property {string[]} different - Keys whose values differ from the baseline, when values are compared
+ */
+
+/**
+ * Hash a value so it can be compared without keeping it around
+ * @param {Record} secret
+ * @returns {string}
+ */
+function hashValue(secret) {
+  return crypto.createHash("sha256").update(secret.computed ?? "").digest("hex");
+}
+
+/**
+ * Compare each config with the first one, the baseline. Doppler meta keys are ignored.
+ * @param {Array<{ source: import("./sources.js").Source, secrets: Record<string, Record> }>} results
+ * @param {{ values?: boolean }} [options]
+ * @returns {ConfigDrift[]} One entry per config after the baseline
+ */
+export function compareConfigs(results, { values = false } = {}) {
+  const [baseline, ...others] = results;
+  const keys = (secrets) => Object.keys(secrets).filter((key) => !DOPPLER_META.includes(key));
+  const baselineKeys = keys(baseline.secrets);
+
+  return others.map(({ source, secrets }) => {
+    const otherKeys = keys(secrets);
+    return {
+      config: describeSource(source),
+      missing: baselineKeys.filter((key) => !otherKeys.includes(key)),
+      extra: otherKeys.filter((key) => !baselineKeys.includes(key)),
+      different: values
+        ? baselineKeys.filter((key) => otherKeys.includes(key) && hashValue(baseline.secrets[key]) !== hashValue(secrets[key]))
+        : [],
+    };
+  });
+}
+
+/**
+ * List the problems that fail the comparison at the given strictness
+ * @param {ConfigDrift[]} drift
+ * @param {string} strictness - One of STRICTNESS_LEVELS
+ * @returns {string[]}
+ */
+export function driftFailures(drift, strictness) {
+  const level = STRICTNESS_LEVELS.indexOf(strictness);
+  const failures = [];
+  for (const { config, missing, extra, different } of drift) {
+    if (level >= 1 && missing.length > 0) {
+      failures.push(`${config} is missing ${missing.join(", ")}`);
+    }
+    if (level >= 2 && extra.length > 0) {
+      failures.push(`${config} has extra ${extra.join(", ")}`);
+    }
+    if (level >= 3 && different.length > 0) {
+      failures.push(`${config} has different values for ${different.join(", ")}`);
+    }
+  }
+  return failures;
+}
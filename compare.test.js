@@ -0,0 +1,51 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { compareConfigs, driftFailures } from "./compare.js";
+
+describe("Compare", () => {
+  const results = [
+    {
+      source: { project: "api", config: "stg", prefix: "" },
+      secrets: {
+        DOPPLER_CONFIG: { computed: "stg" },
+        API_KEY: { computed: "a" },
+        NEW_FLAG: { computed: "true" },
+        LOG_LEVEL: { computed: "debug" },
+      },
+    },
+    {
+      source: { project: "api", config: "prd", prefix: "" },
+      secrets: {
+        DOPPLER_CONFIG: { computed: "prd" },
+        API_KEY: { computed: "a" },
+        LOG_LEVEL: { computed: "info" },
+        LEGACY: { computed: "x" },
+      },
+    },
+  ];
+
+  describe("compareConfigs()", () => {
+    it("should report missing and extra keys relative to the first config", () => {
+      assert.deepStrictEqual(compareConfigs(results), [
+        { config: "api/prd", missing: ["NEW_FLAG"], extra: ["LEGACY"], different: [] },
+      ]);
+    });
+
+    it("should report keys with different values by name only", () => {
+      const [drift] = compareConfigs(results, { values: true });
+      assert.deepStrictEqual(drift.different, ["LOG_LEVEL"]);
+      assert.ok(!JSON.stringify(drift).includes("debug"));
+    });
+  });
+
+  describe("driftFailures()", () => {
+    const drift = compareConfigs(results, { values: true });
+
+    it("should fail according to the strictness", () => {
+      assert.deepStrictEqual(driftFailures(drift, "none"), []);
+      assert.deepStrictEqual(driftFailures(drift, "missing"), ["api/prd is missing NEW_FLAG"]);
+      assert.deepStrictEqual(driftFailures(drift, "extra"), ["api/prd is missing NEW_FLAG", "api/prd has extra LEGACY"]);
+      assert.strictEqual(driftFailures(drift, "values").length, 3);
+    });
+  });
+});
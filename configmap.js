@@ -0,0 +1,52 @@
+import { compilePattern } from "./filters.js";
+
+/**
+ * @typedef {Object} ConfigRule
+ * @property {string} rule - The rule as written, for log messages
+ * @property {"ref" | "base" | "environment"} target - What the pattern is matched against
+ * @property {import("./filters.js").Pattern} pattern
+ * @property {string | null} project - null to keep the `doppler-project` input
+ * @property {string} config
+ */
+
+/**
+ * @typedef {Object} RefContext
+ * @property {string} [refName] - GITHUB_REF_NAME
+ * @property {string} [baseRef] - GITHUB_BASE_REF, only set for pull requests
+ * @property {string} [environment] - Name of the job's GitHub environment
+ */
+
+/**
+ * Parse ordered `selector=[project/]config` rules, one per line. The selector is a pattern matched against the ref name,
+ * or against the base ref or job environment when prefixed with `base:` or `environment:`. Blank lines and lines starting with `#` are ignored.
+ * @param {string[]} lines
+ * @returns {ConfigRule[]}
+ */
+export function parseConfigMap(lines) {
+  const rules = [];
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+
+    const match = line.match(/^(?:(base|environment):)?(\S+?)\s*=\s*(?:([^/\s]+)\/)?([^/\s]+)$/);
+    if (!match) {
+      throw new Error(`Invalid config-map rule "${line}", expected "selector=[project/]config"`);
+    }
+    const [, target = "ref", selector, project = null, config] = match;
+    rules.push({ rule: line, target, pattern: compilePattern(selector), project, config });
+  }
+  return rules;
+}
+
+/**
+ * Find the first rule matching the context
+ * @param {ConfigRule[]} rules
+ * @param {RefContext} context
+ * @returns {ConfigRule | null}
+ */
+export function resolveConfig(rules, { refName = "", baseRef = "", environment = "" }) {
+  const values = { ref: refName, base: baseRef, environment };
+  return rules.find((rule) => values[rule.target] && rule.pattern.test(values[rule.target])) || null;
+}
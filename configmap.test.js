@@ -0,0 +1,46 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { parseConfigMap, resolveConfig } from "./configmap.js";
+
+describe("Config Map", () => {
+  describe("parseConfigMap()", () => {
+    it("should parse selectors and targets", () => {
+      const rules = parseConfigMap(["main=prd", "", "# comment", "environment:production = billing/prd", "base:release/*=stg"]);
+      assert.deepStrictEqual(
+        rules.map(({ rule, target, project, config }) => ({ rule, target, project, config })),
+        [
+          { rule: "main=prd", target: "ref", project: null, config: "prd" },
+          { rule: "environment:production = billing/prd", target: "environment", project: "billing", config: "prd" },
+          { rule: "base:release/*=stg", target: "base", project: null, config: "stg" },
+        ]
+      );
+    });
+
+    it("should reject malformed rules", () => {
+      assert.throws(() => parseConfigMap(["main"]), { message: /Invalid config-map rule "main"/ });
+      assert.throws(() => parseConfigMap(["main=a/b/c"]), { message: /Invalid config-map rule/ });
+    });
+  });
+
+  describe("resolveConfig()", () => {
+    const rules = parseConfigMap([
+      "environment:production=prd",
+      "main=prd",
+      "release/*=stg",
+      "base:main=pr",
+      "*=ci",
+    ]);
+
+    it("should return the first matching rule", () => {
+      assert.strictEqual(resolveConfig(rules, { refName: "main" }).config, "prd");
+      assert.strictEqual(resolveConfig(rules, { refName: "release/2024.1" }).config, "stg");
+      assert.strictEqual(resolveConfig(rules, { refName: "42/merge", baseRef: "main" }).config, "pr");
+      assert.strictEqual(resolveConfig(rules, { refName: "feature/x", environment: "production" }).config, "prd");
+      assert.strictEqual(resolveConfig(rules, { refName: "feature/x" }).config, "ci");
+    });
+
+    it("should return null when no rule matches", () => {
+      assert.strictEqual(resolveConfig(parseConfigMap(["main=prd"]), { refName: "develop" }), null);
+    });
+  });
+});
@@ -4,6 +4,66 @@ import { VERSION } from "./meta.js";
 // Adapted from https://github.com/DopplerHQ/cli/blob/a47f6d765bf9cb2155563e61287e325e492e3dea/pkg/http/config.go#L27
 const MAX_ATTEMPTS = 5;
 const BASE_DELAY = 500;
+const REQUEST_TIMEOUT = 30000;
+const RETRY_DEADLINE = 120000;
+// Longest wait between attempts, so a large Retry-After gives up rather than stalling a job without a deadline
+const MAX_RETRY_DELAY = 60000;
+const USER_AGENT = `secrets-fetch-github-action/${VERSION}`;
+
+// Socket errors that usually resolve themselves on a new connection
+const TRANSIENT_ERROR_CODES = ["ECONNRESET", "ETIMEDOUT", "EPIPE", "ECONNABORTED", "EAI_AGAIN", "ENETUNREACH", "EHOSTUNREACH"];
+
+/**
+ * Keys Doppler adds to every config describing where the secrets came from. These are never masked.
+ */
+export const DOPPLER_META = ["DOPPLER_PROJECT", "DOPPLER_CONFIG", "DOPPLER_ENVIRONMENT"];
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {number} [maxAttempts] - Maximum number of attempts
+ * @property {number} [baseDelay] - Base delay between attempts in ms
+ * @property {number} [timeout] - Timeout of a single attempt in ms
+ * @property {number} [deadline] - Time budget for all attempts in ms, 0 for none. Defaults to 2 minutes.
+ * @property {import("https").Agent} [agent] - Agent used for every attempt, e.g. to route requests through a proxy
+ * @property {RequestStats} [stats] - Updated as requests complete, for reporting
+ */
+
+/**
+ * @typedef {Object} RequestStats
+ * @property {number} requests - Number of requests made, retries excluded
+ * @property {number} attempts - Number of attempts, retries included
+ * @property {number} duration - Total time spent in ms, waits between attempts included
+ */
+
+/**
+ * @typedef {Object} Transport
+ * @property {number} [timeout] - Timeout of the attempt in ms
+ * @property {import("https").Agent} [agent]
+ */
+
+/**
+ * An entry of a config's change history. The ID of the latest log identifies the version of the config's secrets.
+ * @typedef {Object} ConfigLog
+ * @property {string} id
+ * @property {string} created_at - ISO 8601 date
+ * @property {ConfigLogDiff[]} [diff] - The secrets changed by the log
+ */
+
+/**
+ * A secret changed by a config log. `removed` is absent for a created secret and `added` for a deleted one.
+ * @typedef {Object} ConfigLogDiff
+ * @property {string} name
+ * @property {string} [added] - The value after the change
+ * @property {string} [removed] - The value before the change
+ */
+
+/**
+ * Credentials issued for a dynamic secret, valid until the lease expires or is revoked
+ * @typedef {Object} Lease
+ * @property {string} id
+ * @property {string} [expiresAt] - ISO 8601 date
+ * @property {Record<string, string>} value - Credential values by name, e.g. USERNAME and PASSWORD
+ */
 
 /**
  * Custom error class for Doppler API errors that the retry wrapper can use to determine if an error should be retried
@@ -13,21 +73,59 @@ class DopplerApiError extends Error {
    * @param {string} message
    * @param {number} statusCode
    * @param {string} contentType
+   * @param {number | null} [retryAfter] - Delay requested by the `Retry-After` header in ms
    */
-  constructor(message, statusCode, contentType) {
+  constructor(message, statusCode, contentType, retryAfter = null) {
     super(message);
     this.statusCode = statusCode;
     this.contentType = contentType;
+    this.retryAfter = retryAfter;
   }
 }
 
+/**
+ * Custom error class for failures to reach the Doppler API, e.g. a reset connection or a timeout
+ */
+class DopplerNetworkError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [code] - The system error code, e.g. ECONNRESET
+   */
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Parse a `Retry-After` header, which holds either a number of seconds or an HTTP date
+ * @param {string | undefined} header
+ * @returns {number | null} Delay in ms
+ */
+function parseRetryAfter(header) {
+  if (!header) {
+    return null;
+  }
+  if (/^\d+$/.test(header.trim())) {
+    return Number(header) * 1000;
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
 /**
  * Adapted from https://github.com/DopplerHQ/cli/blob/b008b823ec58f6982e26392b6fd0c30345e100a0/pkg/http/http.go#L359-L364
  * Determines if a network error should be retried
+ * @param {Error} error
+ * @param {boolean} idempotent - Whether repeating the request is harmless
+ * @returns {boolean}
  */
-function shouldRetry(error) {
-  if (!error instanceof DopplerApiError) {
+function shouldRetry(error, idempotent) {
+  if (error instanceof DopplerNetworkError) {
+    // The request may have been processed before the connection failed, e.g. on a timeout
+    return idempotent && TRANSIENT_ERROR_CODES.includes(error.code);
+  }
+  if (!(error instanceof DopplerApiError)) {
     return false;
   }
   const { statusCode, contentType } = error;
@@ -36,19 +134,44 @@ function shouldRetry(error) {
 
 }
 
+/**
+ * Whether an error means the Doppler API couldn't be reached or failed on its end, as opposed to rejecting the request
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isUnavailable(error) {
+  if (error instanceof DopplerNetworkError) {
+    return true;
+  }
+  return error instanceof DopplerApiError && (error.statusCode === 429 || error.statusCode >= 500);
+}
+
 /**
  * Retry wrapper with exponential backoff
- * @param {Function} fn - The function to retry
- * @param {number} maxAttempts - Maximum number of attempts
- * @param {number} baseDelay - Base delay in ms
+ * @param {(timeout: number) => Promise} fn - The function to retry, called with the timeout of the attempt in ms
+ * @param {RequestOptions} [options]
+ * @param {boolean} [idempotent] - false for requests creating something, which aren't retried after network errors
  * @returns {Promise}
  */
-async function withRetry(fn, maxAttempts = MAX_ATTEMPTS, baseDelay = BASE_DELAY) {
+async function withRetry(fn, { maxAttempts = MAX_ATTEMPTS, baseDelay = BASE_DELAY, timeout = REQUEST_TIMEOUT, deadline = RETRY_DEADLINE, stats } = {}, idempotent = true) {
+  const startedAt = Date.now();
+  const remaining = () => (deadline > 0 ? deadline - (Date.now() - startedAt) : Infinity);
   let lastError;
+
+  if (stats) {
+    stats.requests++;
+  }
   
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (stats) {
+      stats.attempts++;
+    }
     try {
-      return await fn();
+      const result = await fn(Math.min(timeout, remaining()));
+      if (stats) {
+        stats.duration += Date.now() - startedAt;
+      }
+      return result;
     } catch (error) {
       lastError = error;
       
@@ -58,70 +181,180 @@ async function withRetry(fn, maxAttempts = MAX_ATTEMPTS, baseDelay = BASE_DELAY)
       }
       
       // Get the status code from the error type
-      if (!shouldRetry(error)) {
+      if (!shouldRetry(error, idempotent)) {
         break; // Don't retry non-retryable errors
       }
 
-      // Exponential backoff with full-jitter
-      const delay = baseDelay * Math.pow(2, attempt) + Math.random() * baseDelay;
+      // Honor Retry-After, otherwise exponential backoff with full-jitter
+      const delay = error.retryAfter ?? baseDelay * Math.pow(2, attempt) + Math.random() * baseDelay;
+      if (delay >= remaining() || delay > MAX_RETRY_DELAY) {
+        break; // The next attempt would start after the deadline, or too late to be worth waiting for
+      }
       await new Promise(resolve => setTimeout(resolve, delay)); 
     }
   }
-  
+
+  if (stats) {
+    stats.duration += Date.now() - startedAt;
+  }
   throw lastError;
 }
+
+/**
+ * Abort a request that hasn't completed within the timeout
+ * @param {import("http").ClientRequest} request
+ * @param {number} timeout - In ms
+ * @returns {() => void} Clears the timer once the request has settled
+ */
+function abortAfter(request, timeout) {
+  if (!Number.isFinite(timeout)) {
+    return () => {};
+  }
+  const timer = setTimeout(() => {
+    const error = new Error(`Request timed out after ${timeout}ms`);
+    error.code = "ETIMEDOUT";
+    request.destroy(error);
+  }, timeout);
+  return () => clearTimeout(timer);
+}
+
+/**
+ * Wrap an error emitted by a request so the retry wrapper can inspect its code
+ * @param {Error & { code?: string }} error
+ * @returns {DopplerNetworkError}
+ */
+function networkError(error) {
+  return new DopplerNetworkError(`Doppler API Error: ${error}`, error.code);
+}
+
+/**
+ * Build the Basic auth header Doppler expects for API tokens
+ * @param {string} dopplerToken
+ * @returns {string}
+ */
+function authHeader(dopplerToken) {
+  const encodedAuthData = Buffer.from(`${dopplerToken}:`).toString("base64");
+  return `Basic ${encodedAuthData}`;
+}
+
+/**
+ * Buffer a response and settle the request's promise with the parsed JSON payload or a DopplerApiError
+ * @param {import("http").IncomingMessage} res
+ * @param {Function} resolve
+ * @param {Function} reject
+ */
+function handleResponse(res, resolve, reject) {
+  let payload = "";
+  res.on("data", (data) => (payload += data));
+  res.on("end", () => {
+    if (res.statusCode >= 200 && res.statusCode <= 299) {
+      try {
+        resolve(payload ? JSON.parse(payload) : {});
+      } catch (error) {
+        // E.g. a proxy or captive portal answering in place of Doppler. The listener runs outside the promise, so throwing would crash.
+        reject(new DopplerApiError(`Doppler API Error: Invalid JSON response (${res.statusCode} ${res.statusMessage})`, res.statusCode, res.headers["content-type"]));
+      }
+    } else {
+      const retryAfter = parseRetryAfter(res.headers["retry-after"]);
+      try {
+        const error = JSON.parse(payload).messages.join(" ");
+        reject(new DopplerApiError(`Doppler API Error: ${error}`, res.statusCode, res.headers["content-type"], retryAfter));
+      } catch (error) {
+        // In the event an upstream issue occurs and no JSON payload is supplied
+        reject(new DopplerApiError(`Doppler API Error: ${res.statusCode} ${res.statusMessage}`, res.statusCode, res.headers["content-type"], retryAfter));
+      }
+    }
+  });
+}
+
 /**
  * Internal fetch function without retry logic
  * @param {string} dopplerToken
  * @param {string | null} [dopplerProject]
  * @param {string | null} [dopplerConfig]
  * @param {string} apiDomain 
+ * @param {Transport} [transport]
  * @returns {Promise<Record<string, Record>>}
  */
-async function _fetch(dopplerToken, dopplerProject, dopplerConfig, apiDomain) {
-  return new Promise(function (resolve, reject) {
-    const encodedAuthData = Buffer.from(`${dopplerToken}:`).toString("base64");
-    const authHeader = `Basic ${encodedAuthData}`;
-    const userAgent = `secrets-fetch-github-action/${VERSION}`;
-
-    const url = new URL(`https://${apiDomain}/v3/configs/config/secrets`);
-    if (dopplerProject && dopplerConfig) {
-      url.searchParams.append("project", dopplerProject);
-      url.searchParams.append("config", dopplerConfig);
-    }
+async function _fetch(dopplerToken, dopplerProject, dopplerConfig, apiDomain, { timeout = REQUEST_TIMEOUT, agent } = {}) {
+  let clearTimer = () => {};
+  try {
+    const response = await new Promise(function (resolve, reject) {
+      const url = new URL(`https://${apiDomain}/v3/configs/config/secrets`);
+      if (dopplerProject && dopplerConfig) {
+        url.searchParams.append("project", dopplerProject);
+        url.searchParams.append("config", dopplerConfig);
+      }
 
-    https
-      .get(
+      const request = https.get(
         url.href,
         {
           headers: {
-            Authorization: authHeader,
-            "user-agent": userAgent,
+            Authorization: authHeader(dopplerToken),
+            "user-agent": USER_AGENT,
             "accepts": "application/json",
           },
+          agent,
         },
-        (res) => {
-          let payload = "";
-          res.on("data", (data) => (payload += data));
-          res.on("end", () => {
-            if (res.statusCode === 200) {
-              resolve(JSON.parse(payload).secrets);
-            } else {
-              try {
-                const error = JSON.parse(payload).messages.join(" ");
-                reject(new DopplerApiError(`Doppler API Error: ${error}`, res.statusCode, res.headers["content-type"]));
-              } catch (error) {
-                // In the event an upstream issue occurs and no JSON payload is supplied
-                reject(new DopplerApiError(`Doppler API Error: ${res.statusCode} ${res.statusMessage}`, res.statusCode, res.headers["content-type"]));
-              }
-            }
-          });
-        }
-      )
-      .on("error", (error) => {
-        reject(new Error(`Doppler API Error: ${error}`));
+        (res) => handleResponse(res, resolve, reject)
+      );
+
+      request.on("error", (error) => {
+        reject(networkError(error));
       });
-  });
+
+      clearTimer = abortAfter(request, timeout);
+    });
+    return response.secrets;
+  } finally {
+    clearTimer();
+  }
+}
+
+/**
+ * Internal request function without retry logic for endpoints taking an optional JSON body
+ * @param {string} method
+ * @param {string} path - Path including the query string, e.g. `/v3/auth/oidc`
+ * @param {string} apiDomain
+ * @param {{ dopplerToken?: string, body?: Object } & Transport} [options]
+ * @returns {Promise<Object>} The parsed response payload
+ */
+async function _request(method, path, apiDomain, { dopplerToken, body, timeout = REQUEST_TIMEOUT, agent } = {}) {
+  let clearTimer = () => {};
+  try {
+    return await new Promise(function (resolve, reject) {
+      const url = new URL(`https://${apiDomain}${path}`);
+      const headers = {
+        "user-agent": USER_AGENT,
+        "accepts": "application/json",
+      };
+      if (dopplerToken) {
+        headers.Authorization = authHeader(dopplerToken);
+      }
+
+      const payload = body === undefined ? null : JSON.stringify(body);
+      if (payload !== null) {
+        headers["Content-Type"] = "application/json";
+        headers["Content-Length"] = Buffer.byteLength(payload);
+      }
+
+      const request = https.request(url.href, { headers, method, agent }, (res) => handleResponse(res, resolve, reject));
+
+      request.on("error", (error) => {
+        reject(networkError(error));
+      });
+
+      clearTimer = abortAfter(request, timeout);
+
+      if (payload !== null) {
+        request.write(payload);
+      }
+
+      request.end();
+    });
+  } finally {
+    clearTimer();
+  }
 }
 
 /**
@@ -129,58 +362,18 @@ async function _fetch(dopplerToken, dopplerProject, dopplerConfig, apiDomain) {
  * @param {string} identityId 
  * @param {string} oidcToken 
  * @param {string} apiDomain 
+ * @param {Transport} [transport]
  * @returns {Promise<string>}
  */
-async function _oidcAuth(identityId, oidcToken, apiDomain) {
-  return new Promise(function (resolve, reject) {
-    const userAgent = `secrets-fetch-github-action/${VERSION}`;
-
-    const url = new URL(`https://${apiDomain}/v3/auth/oidc`);
-    const body = JSON.stringify({
+async function _oidcAuth(identityId, oidcToken, apiDomain, transport) {
+  const response = await _request("POST", "/v3/auth/oidc", apiDomain, {
+    body: {
       identity: identityId,
       token: oidcToken
-    });
-   
-    const request = https
-      .request(
-        url.href,
-        {
-          headers: {
-            "user-agent": userAgent,
-            "accepts": "application/json",
-            "Content-Type": "application/json",
-            "Content-Length": body.length,
-          },
-          method: 'POST'
-        },
-        (res) => {
-          let payload = "";
-          res.on("data", (data) => (payload += data));
-          res.on("end", () => {
-            if (res.statusCode === 200) {
-              resolve(JSON.parse(payload).token);
-            } else {
-              try {
-                const error = JSON.parse(payload).messages.join(" ");
-                reject(new DopplerApiError(`Doppler API Error: ${error}`, res.statusCode, res.headers["content-type"]));
-              } catch (error) {
-                // In the event an upstream issue occurs and no JSON payload is supplied
-                reject(new DopplerApiError(`Doppler API Error: ${res.statusCode} ${res.statusMessage}`, res.statusCode, res.headers["content-type"]));
-              }
-            }
-          });
-        }
-      );
-
-    request
-      .on("error", (error) => {
-        reject(new Error(`Doppler API Error: ${error}`));
-      });
-
-    request.write(body);
-
-    request.end()
+    },
+    ...transport,
   });
+  return response.token;
 }
 
 /**
@@ -189,10 +382,11 @@ async function _oidcAuth(identityId, oidcToken, apiDomain) {
  * @param {string | null} [dopplerProject]
  * @param {string | null} [dopplerConfig]
  * @param {string} apiDomain 
+ * @param {RequestOptions} [options]
  * @returns {Promise<Record<string, Record>>}
  */
-export async function fetch(dopplerToken, dopplerProject, dopplerConfig, apiDomain) {
-  return withRetry(() => _fetch(dopplerToken, dopplerProject, dopplerConfig, apiDomain));
+export async function fetch(dopplerToken, dopplerProject, dopplerConfig, apiDomain, options = {}) {
+  return withRetry((timeout) => _fetch(dopplerToken, dopplerProject, dopplerConfig, apiDomain, { timeout, agent: options.agent }), options);
 }
 
 /**
@@ -200,8 +394,209 @@ export async function fetch(dopplerToken, dopplerProject, dopplerConfig, apiDoma
  * @param {string} identityId 
  * @param {string} oidcToken 
  * @param {string} apiDomain 
+ * @param {RequestOptions} [options]
  * @returns {Promise<string>}
  */
-export async function oidcAuth(identityId, oidcToken, apiDomain) {
-  return withRetry(() => _oidcAuth(identityId, oidcToken, apiDomain));
+export async function oidcAuth(identityId, oidcToken, apiDomain, options = {}) {
+  return withRetry((timeout) => _oidcAuth(identityId, oidcToken, apiDomain, { timeout, agent: options.agent }), options);
+}
+
+/**
+ * Revoke a Doppler API token, e.g. the short lived token returned by `oidcAuth()`, with retry logic
+ * @param {string} dopplerToken
+ * @param {string} apiDomain
+ * @param {RequestOptions} [options]
+ * @returns {Promise<void>}
+ */
+export async function revokeToken(dopplerToken, apiDomain, options = {}) {
+  await withRetry((timeout) => _request("POST", "/v3/auth/revoke", apiDomain, {
+    dopplerToken,
+    body: { token: dopplerToken },
+    timeout,
+    agent: options.agent,
+  }), options);
+}
+
+/**
+ * Build a path with a query string, skipping empty params
+ * @param {string} path
+ * @param {Record<string, string | null | undefined>} params
+ * @returns {string}
+ */
+function withQuery(path, params) {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+  return `${path}?${query}`;
+}
+
+/**
+ * Get a config's details with retry logic
+ * @param {string} dopplerToken
+ * @param {string} dopplerProject
+ * @param {string} dopplerConfig
+ * @param {string} apiDomain
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Record | null>} null when the config doesn't exist
+ */
+export async function getConfig(dopplerToken, dopplerProject, dopplerConfig, apiDomain, options = {}) {
+  try {
+    const response = await withRetry((timeout) => _request("GET", withQuery("/v3/configs/config", {
+      project: dopplerProject,
+      config: dopplerConfig,
+    }), apiDomain, { dopplerToken, timeout, agent: options.agent }), options);
+    return response.config;
+  } catch (error) {
+    if (error instanceof DopplerApiError && error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create a branch config in an environment with retry logic. Network errors aren't retried, the config may have been created.
+ * @param {string} dopplerToken
+ * @param {string} dopplerProject
+ * @param {string} environment - Environment slug, which is also the name of its root config
+ * @param {string} name - Must start with `<environment>_`
+ * @param {string} apiDomain
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Record>}
+ */
+export async function createConfig(dopplerToken, dopplerProject, environment, name, apiDomain, options = {}) {
+  const response = await withRetry((timeout) => _request("POST", "/v3/configs", apiDomain, {
+    dopplerToken,
+    body: { project: dopplerProject, environment, name },
+    timeout,
+    agent: options.agent,
+  }), options, false);
+  return response.config;
+}
+
+/**
+ * Delete a config with retry logic
+ * @param {string} dopplerToken
+ * @param {string} dopplerProject
+ * @param {string} dopplerConfig
+ * @param {string} apiDomain
+ * @param {RequestOptions} [options]
+ * @returns {Promise<boolean>} false when the config didn't exist
+ */
+export async function deleteConfig(dopplerToken, dopplerProject, dopplerConfig, apiDomain, options = {}) {
+  try {
+    await withRetry((timeout) => _request("DELETE", "/v3/configs/config", apiDomain, {
+      dopplerToken,
+      body: { project: dopplerProject, config: dopplerConfig },
+      timeout,
+      agent: options.agent,
+    }), options);
+    return true;
+  } catch (error) {
+    if (error instanceof DopplerApiError && error.statusCode === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Set the value of secrets in a config, creating the ones that don't exist yet, with retry logic
+ * @param {string} dopplerToken
+ * @param {string} dopplerProject
+ * @param {string} dopplerConfig
+ * @param {Record<string, string>} values
+ * @param {string} apiDomain
+ * @param {RequestOptions} [options]
+ * @returns {Promise<void>}
+ */
+export async function updateSecrets(dopplerToken, dopplerProject, dopplerConfig, values, apiDomain, options = {}) {
+  await withRetry((timeout) => _request("POST", "/v3/configs/config/secrets", apiDomain, {
+    dopplerToken,
+    body: { project: dopplerProject, config: dopplerConfig, secrets: values },
+    timeout,
+    agent: options.agent,
+  }), options);
+}
+
+/**
+ * Fetch a page of the logs of a config, newest first
+ * @param {string} dopplerToken
+ * @param {string} dopplerProject
+ * @param {string} dopplerConfig
+ * @param {number} page - Starting at 1
+ * @param {number} perPage
+ * @param {string} apiDomain
+ * @param {RequestOptions} [options]
+ * @returns {Promise<ConfigLog[]>}
+ */
+export async function listConfigLogs(dopplerToken, dopplerProject, dopplerConfig, page, perPage, apiDomain, options = {}) {
+  const response = await withRetry((timeout) => _request("GET", withQuery("/v3/configs/config/logs", {
+    project: dopplerProject,
+    config: dopplerConfig,
+    page,
+    per_page: perPage,
+  }), apiDomain, { dopplerToken, timeout, agent: options.agent }), options);
+  return response.logs ?? [];
+}
+
+/**
+ * Fetch the latest log of a config
+ * @param {string} dopplerToken
+ * @param {string} dopplerProject
+ * @param {string} dopplerConfig
+ * @param {string} apiDomain
+ * @param {RequestOptions} [options]
+ * @returns {Promise<ConfigLog | null>} null when the config has no logs
+ */
+export async function getLatestConfigLog(dopplerToken, dopplerProject, dopplerConfig, apiDomain, options = {}) {
+  const [latest] = await listConfigLogs(dopplerToken, dopplerProject, dopplerConfig, 1, 1, apiDomain, options);
+  return latest ?? null;
+}
+
+/**
+ * Issue a lease of a dynamic secret. Network errors aren't retried, a lease may have been issued that couldn't be revoked.
+ * @param {string} dopplerToken
+ * @param {string} dopplerProject
+ * @param {string} dopplerConfig
+ * @param {string} dynamicSecret - Name of the dynamic secret in the config
+ * @param {number | undefined} ttl - Lease duration in seconds, the dynamic secret's default when undefined
+ * @param {string} apiDomain
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Lease>}
+ */
+export async function issueLease(dopplerToken, dopplerProject, dopplerConfig, dynamicSecret, ttl, apiDomain, options = {}) {
+  const response = await withRetry((timeout) => _request("POST", "/v3/configs/config/dynamic_secrets/dynamic_secret/leases", apiDomain, {
+    dopplerToken,
+    body: { project: dopplerProject, config: dopplerConfig, dynamic_secret: dynamicSecret, ttl_sec: ttl },
+    timeout,
+    agent: options.agent,
+  }), options, false);
+  return { id: response.id, expiresAt: response.expires_at, value: response.value ?? {} };
+}
+
+/**
+ * Revoke a lease of a dynamic secret, invalidating its credentials
+ * @param {string} dopplerToken
+ * @param {string} dopplerProject
+ * @param {string} dopplerConfig
+ * @param {string} dynamicSecret
+ * @param {string} leaseId
+ * @param {string} apiDomain
+ * @param {RequestOptions} [options]
+ * @returns {Promise<boolean>} false when the lease no longer exists, e.g. because it expired
+ */
+export async function revokeLease(dopplerToken, dopplerProject, dopplerConfig, dynamicSecret, leaseId, apiDomain, options = {}) {
+  try {
+    await withRetry((timeout) => _request("DELETE", "/v3/configs/config/dynamic_secrets/dynamic_secret/leases/lease", apiDomain, {
+      dopplerToken,
+      body: { project: dopplerProject, config: dopplerConfig, dynamic_secret: dynamicSecret, slug: leaseId },
+      timeout,
+      agent: options.agent,
+    }), options);
+    return true;
+  } catch (error) {
+    if (error instanceof DopplerApiError && error.statusCode === 404) {
+      return false;
+    }
+    throw error;
+  }
 }
@@ -0,0 +1,98 @@
+import { compilePatterns, matchesAny } from "./filters.js";
+
+export const CONFLICT_MODES = ["overwrite", "skip", "fail"];
+
+// Variables that change how the runner, shells, interpreters or git behave in every later step, or where their outbound
+// traffic goes. Matched regardless of case, as environment names are case-insensitive on Windows.
+const DENYLIST = compilePatterns([
+  "PATH",
+  "HOME",
+  "CI",
+  "ENV",
+  "BASH_ENV",
+  "SHELLOPTS",
+  "PROMPT_COMMAND",
+  "PS4",
+  "IFS",
+  "LD_*",
+  "DYLD_*",
+  "GCONV_PATH",
+  "NODE_OPTIONS",
+  "NODE_PATH",
+  "PYTHONPATH",
+  "PYTHONSTARTUP",
+  "PERL5OPT",
+  "PERL5LIB",
+  "RUBYOPT",
+  "RUBYLIB",
+  "JAVA_TOOL_OPTIONS",
+  "_JAVA_OPTIONS",
+  "JDK_JAVA_OPTIONS",
+  "HTTP_PROXY",
+  "HTTPS_PROXY",
+  "ALL_PROXY",
+  "NO_PROXY",
+  "NODE_EXTRA_CA_CERTS",
+  "SSL_CERT_FILE",
+  "SSL_CERT_DIR",
+  "GIT_ASKPASS",
+  "GIT_SSH_COMMAND",
+  "GIT_EXEC_PATH",
+  "GIT_CONFIG_*",
+  "SSH_ASKPASS",
+  "GITHUB_*",
+  "RUNNER_*",
+  "ACTIONS_*",
+]);
+
+/**
+ * @typedef {Object} EnvPlan
+ * @property {string[]} exports - Names to export
+ * @property {Array<{ name: string, reason: string, action: string }>} findings - Every blocked name and conflict, for the step summary
+ * @property {string[]} failures - Conflicting names when the conflict mode is "fail"
+ */
+
+/**
+ * Decide which secrets can be exported as environment variables
+ * @param {string[]} names
+ * @param {Object} options
+ * @param {import("./filters.js").Pattern[]} [options.allow] - Exempt names from the built-in denylist
+ * @param {import("./filters.js").Pattern[]} [options.deny] - Never export these names, in addition to the built-in denylist
+ * @param {string} [options.onConflict] - One of CONFLICT_MODES, for names already set in `env`
+ * @param {Record<string, string | undefined>} [options.env]
+ * @param {string} [options.platform] - Names already set in `env` are matched regardless of case on win32
+ * @returns {EnvPlan}
+ */
+export function planEnvExports(names, { allow = [], deny = [], onConflict = "overwrite", env = process.env, platform = process.platform } = {}) {
+  const plan = { exports: [], findings: [], failures: [] };
+  const isSet = platform === "win32"
+    ? (name) => Object.keys(env).some((key) => key.toUpperCase() === name.toUpperCase() && env[key] !== undefined)
+    : (name) => env[name] !== undefined;
+
+  for (const name of names) {
+    if (matchesAny(deny, name)) {
+      plan.findings.push({ name, reason: "denied by env-deny", action: "skipped" });
+      continue;
+    }
+    if (matchesAny(DENYLIST, name.toUpperCase()) && !matchesAny(allow, name)) {
+      plan.findings.push({ name, reason: "protected runner variable", action: "skipped" });
+      continue;
+    }
+
+    if (isSet(name)) {
+      if (onConflict === "fail") {
+        plan.findings.push({ name, reason: "already set", action: "failed" });
+        plan.failures.push(name);
+        continue;
+      }
+      if (onConflict === "skip") {
+        plan.findings.push({ name, reason: "already set", action: "skipped" });
+        continue;
+      }
+      plan.findings.push({ name, reason: "already set", action: "overwritten" });
+    }
+    plan.exports.push(name);
+  }
+
+  return plan;
+}
@@ -0,0 +1,56 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { compilePatterns } from "./filters.js";
+import { planEnvExports } from "./env.js";
+
+describe("Environment", () => {
+  describe("planEnvExports()", () => {
+    it("should skip protected runner variables", () => {
+      const plan = planEnvExports(["API_KEY", "PATH", "LD_PRELOAD", "RUNNER_TEMP", "GITHUB_TOKEN", "NODE_OPTIONS"], { env: {} });
+      assert.deepStrictEqual(plan.exports, ["API_KEY"]);
+      assert.deepStrictEqual(plan.findings.map(({ name }) => name), ["PATH", "LD_PRELOAD", "RUNNER_TEMP", "GITHUB_TOKEN", "NODE_OPTIONS"]);
+      assert.ok(plan.findings.every(({ reason, action }) => reason === "protected runner variable" && action === "skipped"));
+    });
+
+    it("should skip protected variables regardless of case", () => {
+      const plan = planEnvExports(["Path", "node_options", "Https_Proxy", "NODE_EXTRA_CA_CERTS", "SSL_CERT_FILE", "API_KEY"], { env: {} });
+      assert.deepStrictEqual(plan.exports, ["API_KEY"]);
+      assert.deepStrictEqual(plan.findings.map(({ name }) => name), ["Path", "node_options", "Https_Proxy", "NODE_EXTRA_CA_CERTS", "SSL_CERT_FILE"]);
+    });
+
+    it("should match existing variables regardless of case on Windows", () => {
+      const windows = planEnvExports(["Api_Key"], { onConflict: "skip", env: { API_KEY: "old" }, platform: "win32" });
+      assert.deepStrictEqual(windows.exports, []);
+      assert.deepStrictEqual(windows.findings, [{ name: "Api_Key", reason: "already set", action: "skipped" }]);
+
+      const linux = planEnvExports(["Api_Key"], { onConflict: "skip", env: { API_KEY: "old" }, platform: "linux" });
+      assert.deepStrictEqual(linux.exports, ["Api_Key"]);
+    });
+
+    it("should let allow patterns exempt names from the built-in denylist and deny patterns block any name", () => {
+      const plan = planEnvExports(["NODE_OPTIONS", "API_KEY", "DEBUG"], {
+        allow: compilePatterns(["NODE_OPTIONS"]),
+        deny: compilePatterns(["DEBUG"]),
+        env: {},
+      });
+      assert.deepStrictEqual(plan.exports, ["NODE_OPTIONS", "API_KEY"]);
+      assert.deepStrictEqual(plan.findings, [{ name: "DEBUG", reason: "denied by env-deny", action: "skipped" }]);
+    });
+
+    it("should overwrite existing variables by default and report them", () => {
+      const plan = planEnvExports(["API_KEY"], { env: { API_KEY: "old" } });
+      assert.deepStrictEqual(plan.exports, ["API_KEY"]);
+      assert.deepStrictEqual(plan.findings, [{ name: "API_KEY", reason: "already set", action: "overwritten" }]);
+    });
+
+    it("should skip or fail on existing variables", () => {
+      const skipped = planEnvExports(["API_KEY", "OTHER"], { onConflict: "skip", env: { API_KEY: "" } });
+      assert.deepStrictEqual(skipped.exports, ["OTHER"]);
+      assert.deepStrictEqual(skipped.failures, []);
+
+      const failed = planEnvExports(["API_KEY", "OTHER"], { onConflict: "fail", env: { API_KEY: "old" } });
+      assert.deepStrictEqual(failed.failures, ["API_KEY"]);
+      assert.deepStrictEqual(failed.findings, [{ name: "API_KEY", reason: "already set", action: "failed" }]);
+    });
+  });
+});
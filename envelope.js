@@ -0,0 +1,62 @@
+import crypto from "crypto";
+
+const VERSION = "v1";
+const ALGORITHM = "aes-256-gcm";
+
+/**
+ * Derive an AES key from a passphrase, such as a workflow secret. scrypt makes guessing a weak passphrase expensive.
+ * @param {string} passphrase
+ * @param {Buffer} salt
+ * @returns {Buffer}
+ */
+function deriveKey(passphrase, salt) {
+  if (!passphrase) {
+    throw new Error("An encryption key is required");
+  }
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+/**
+ * Encrypt and authenticate a string with AES-256-GCM. The result is a single line of the form
+ * `v1.<salt>.<iv>.<tag>.<ciphertext>`, each part base64url encoded.
+ * @param {string} plaintext
+ * @param {string} passphrase
+ * @param {string} purpose - Authenticated along with the data, so a blob sealed for one purpose can't be unsealed for another
+ * @returns {string}
+ */
+export function seal(plaintext, passphrase, purpose) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(passphrase, salt), iv);
+  cipher.setAAD(Buffer.from(purpose));
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return [VERSION, salt, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (typeof part === "string" ? part : part.toString("base64url")))
+    .join(".");
+}
+
+/**
+ * Decrypt a string sealed by `seal()`
+ * @param {string} sealed
+ * @param {string} passphrase
+ * @param {string} purpose - Must match the purpose it was sealed for
+ * @returns {string}
+ */
+export function unseal(sealed, passphrase, purpose) {
+  const parts = sealed.trim().split(".");
+  if (parts.length !== 5 || parts[0] !== VERSION) {
+    throw new Error("Unsupported encrypted data, expected the output of a seal with the same version of this action");
+  }
+  const [salt, iv, tag, ciphertext] = parts.slice(1).map((part) => Buffer.from(part, "base64url"));
+  const key = deriveKey(passphrase, salt);
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAAD(Buffer.from(purpose));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+  } catch {
+    // GCM doesn't tell a wrong key from tampering
+    throw new Error("Unable to decrypt, the key is wrong or the data was modified");
+  }
+}
@@ -0,0 +1,35 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { seal, unseal } from "./envelope.js";
+
+describe("Envelope", () => {
+  const plaintext = JSON.stringify({ API_KEY: "secret-value" });
+
+  it("should round-trip a value", () => {
+    const sealed = seal(plaintext, "passphrase", "test");
+    assert.match(sealed, /^v1(\.[A-Za-z0-9_-]+){4}$/);
+    assert.ok(!sealed.includes("secret-value"));
+    assert.strictEqual(unseal(sealed, "passphrase", "test"), plaintext);
+  });
+
+  it("should use a fresh salt and IV for each seal", () => {
+    assert.notStrictEqual(seal(plaintext, "passphrase", "test"), seal(plaintext, "passphrase", "test"));
+  });
+
+  it("should reject the wrong key, purpose or modified data", () => {
+    const sealed = seal(plaintext, "passphrase", "test");
+    const message = "Unable to decrypt, the key is wrong or the data was modified";
+    assert.throws(() => unseal(sealed, "other", "test"), { message });
+    assert.throws(() => unseal(sealed, "passphrase", "other"), { message });
+
+    const parts = sealed.split(".");
+    parts[4] = Buffer.from("tampered").toString("base64url");
+    assert.throws(() => unseal(parts.join("."), "passphrase", "test"), { message });
+  });
+
+  it("should reject malformed data and missing keys", () => {
+    assert.throws(() => unseal("not sealed", "passphrase", "test"), { message: /Unsupported encrypted data/ });
+    assert.throws(() => seal(plaintext, "", "test"), { message: "An encryption key is required" });
+    assert.throws(() => unseal(seal(plaintext, "passphrase", "test"), "", "test"), { message: "An encryption key is required" });
+  });
+});
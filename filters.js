@@ -0,0 +1,86 @@
+/**
+ * @typedef {Object} Pattern
+ * @property {string} source - The pattern as written by the user
+ * @property {boolean} exact - Whether the pattern names a single secret
+ * @property {(name: string) => boolean} test
+ */
+
+/**
+ * Compile a name pattern. Supported forms:
+ * - `/regex/flags` for regular expressions
+ * - globs using `*` and `?`
+ * - anything else is an exact secret name
+ * @param {string} source
+ * @returns {Pattern}
+ */
+export function compilePattern(source) {
+  const regexMatch = source.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    // Global and sticky regexes keep state between calls to test(), which would skip every other name
+    if (/[gy]/.test(regexMatch[2])) {
+      throw new Error(`Invalid pattern ${source}: the g and y flags are not supported`);
+    }
+    let regex;
+    try {
+      regex = new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (error) {
+      throw new Error(`Invalid pattern ${source}: ${error.message}`);
+    }
+    return { source, exact: false, test: (name) => regex.test(name) };
+  }
+
+  if (/[*?]/.test(source)) {
+    const escaped = source.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+    const regex = new RegExp(`^${escaped}$`);
+    return { source, exact: false, test: (name) => regex.test(name) };
+  }
+
+  return { source, exact: true, test: (name) => name === source };
+}
+
+/**
+ * Compile a list of patterns, ignoring blank lines and `#` comments
+ * @param {string[]} sources
+ * @returns {Pattern[]}
+ */
+export function compilePatterns(sources) {
+  return sources
+    .map((source) => source.trim())
+    .filter((source) => source && !source.startsWith("#"))
+    .map(compilePattern);
+}
+
+/**
+ * @param {Pattern[]} patterns
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function matchesAny(patterns, name) {
+  return patterns.some((pattern) => pattern.test(name));
+}
+
+/**
+ * Select the secrets matching at least one include pattern (all secrets when there are none) and no exclude pattern
+ * @param {Record<string, Record>} secrets
+ * @param {Pattern[]} include
+ * @param {Pattern[]} exclude
+ * @returns {{ secrets: Record<string, Record>, missing: string[] }} `missing` lists exact include names absent from `secrets`
+ */
+export function filterSecrets(secrets, include, exclude) {
+  const selected = {};
+  for (const [name, secret] of Object.entries(secrets)) {
+    if (include.length > 0 && !matchesAny(include, name)) {
+      continue;
+    }
+    if (matchesAny(exclude, name)) {
+      continue;
+    }
+    selected[name] = secret;
+  }
+
+  const missing = include
+    .filter((pattern) => pattern.exact && !(pattern.source in secrets))
+    .map((pattern) => pattern.source);
+
+  return { secrets: selected, missing };
+}
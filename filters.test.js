@@ -0,0 +1,62 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { compilePattern, compilePatterns, filterSecrets } from "./filters.js";
+
+describe("Filters", () => {
+  describe("compilePattern()", () => {
+    it("should match exact names", () => {
+      const pattern = compilePattern("API_KEY");
+      assert.strictEqual(pattern.exact, true);
+      assert.ok(pattern.test("API_KEY"));
+      assert.ok(!pattern.test("API_KEY_2"));
+    });
+
+    it("should match globs", () => {
+      const pattern = compilePattern("STRIPE_*_KEY?");
+      assert.strictEqual(pattern.exact, false);
+      assert.ok(pattern.test("STRIPE_LIVE_KEY1"));
+      assert.ok(!pattern.test("STRIPE_LIVE_KEY"));
+      assert.ok(!pattern.test("MY_STRIPE_LIVE_KEY1"));
+    });
+
+    it("should match regular expressions", () => {
+      const pattern = compilePattern("/^aws_/i");
+      assert.ok(pattern.test("AWS_REGION"));
+      assert.ok(!pattern.test("MY_AWS_REGION"));
+    });
+
+    it("should reject invalid regular expressions", () => {
+      assert.throws(() => compilePattern("/(/"), { message: /Invalid pattern \/\(\// });
+    });
+
+    it("should reject stateful regular expression flags", () => {
+      assert.throws(() => compilePattern("/^API/g"), { message: "Invalid pattern /^API/g: the g and y flags are not supported" });
+      assert.throws(() => compilePattern("/^API/iy"), { message: /the g and y flags are not supported/ });
+    });
+  });
+
+  describe("filterSecrets()", () => {
+    const secrets = {
+      API_KEY: { computed: "a" },
+      STRIPE_KEY: { computed: "b" },
+      STRIPE_TEST_KEY: { computed: "c" },
+    };
+
+    it("should keep every secret without include patterns", () => {
+      const result = filterSecrets(secrets, [], compilePatterns(["/TEST/"]));
+      assert.deepStrictEqual(Object.keys(result.secrets), ["API_KEY", "STRIPE_KEY"]);
+    });
+
+    it("should apply include then exclude patterns", () => {
+      const result = filterSecrets(secrets, compilePatterns(["STRIPE_*", "", "# comment"]), compilePatterns(["STRIPE_TEST_KEY"]));
+      assert.deepStrictEqual(Object.keys(result.secrets), ["STRIPE_KEY"]);
+      assert.deepStrictEqual(result.missing, []);
+    });
+
+    it("should report exact includes that are missing", () => {
+      const result = filterSecrets(secrets, compilePatterns(["API_KEY", "DATABASE_URL", "REDIS_*"]), []);
+      assert.deepStrictEqual(Object.keys(result.secrets), ["API_KEY"]);
+      assert.deepStrictEqual(result.missing, ["DATABASE_URL"]);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+export const SEPARATOR = "__";
+
+/**
+ * Flatten a parsed JSON value into leaf values keyed by their path, e.g. `{ "a": { "b": [1] } }` becomes `{ "a__b__0": 1 }`
+ * @param {unknown} value
+ * @param {string} prefix
+ * @param {Record<string, string | number | boolean | null>} [leaves]
+ * @returns {Record<string, string | number | boolean | null>}
+ */
+function flattenValue(value, prefix, leaves = {}) {
+  if (value !== null && typeof value === "object") {
+    for (const [key, child] of Object.entries(value)) {
+      flattenValue(child, `${prefix}${SEPARATOR}${key}`, leaves);
+    }
+  } else {
+    leaves[prefix] = value;
+  }
+  return leaves;
+}
+
+/**
+ * Parse JSON-valued secrets and expose each leaf as its own secret named `<KEY>__<path>`, e.g. `GCP_SA__client_email`.
+ * Leaves keep the visibility of the secret they come from. Numbers, booleans and null are marked as `literal`, they are
+ * part of the structure rather than secret text.
+ * @param {Record<string, Record>} secrets
+ * @param {(key: string) => boolean} isJson - Whether a secret should be parsed
+ * @returns {Record<string, Record>} Only the new leaf secrets
+ */
+export function flattenJsonSecrets(secrets, isJson) {
+  const flattened = {};
+  for (const [key, secret] of Object.entries(secrets)) {
+    if (!isJson(key)) {
+      continue;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(secret.computed ?? "");
+    } catch (error) {
+      // The parser message may quote part of the value
+      throw new Error(`Secret ${key} is not valid JSON`);
+    }
+    if (parsed === null || typeof parsed !== "object") {
+      throw new Error(`Secret ${key} is not a JSON object or array`);
+    }
+
+    for (const [leafKey, leafValue] of Object.entries(flattenValue(parsed, key))) {
+      if (leafKey in secrets || leafKey in flattened) {
+        throw new Error(`Secret ${leafKey} from ${key} collides with an existing secret`);
+      }
+      flattened[leafKey] = { computed: leafValue === null ? "" : String(leafValue), computedVisibility: secret.computedVisibility };
+      if (typeof leafValue !== "string") {
+        flattened[leafKey].literal = true;
+      }
+    }
+  }
+  return flattened;
+}
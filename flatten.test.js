@@ -0,0 +1,37 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { flattenJsonSecrets } from "./flatten.js";
+
+describe("Flatten", () => {
+  describe("flattenJsonSecrets()", () => {
+    it("should expose each leaf with the visibility of its secret", () => {
+      const secrets = {
+        GCP_SA: {
+          computed: JSON.stringify({ client_email: "ci@example.iam", scopes: ["a", "b"], nested: { port: 443, enabled: true, empty: null } }),
+          computedVisibility: "masked",
+        },
+        FLAGS: { computed: "[]", computedVisibility: "unmasked" },
+        OTHER: { computed: "not json", computedVisibility: "masked" },
+      };
+
+      assert.deepStrictEqual(flattenJsonSecrets(secrets, (key) => key !== "OTHER"), {
+        GCP_SA__client_email: { computed: "ci@example.iam", computedVisibility: "masked" },
+        GCP_SA__scopes__0: { computed: "a", computedVisibility: "masked" },
+        GCP_SA__scopes__1: { computed: "b", computedVisibility: "masked" },
+        GCP_SA__nested__port: { computed: "443", computedVisibility: "masked", literal: true },
+        GCP_SA__nested__enabled: { computed: "true", computedVisibility: "masked", literal: true },
+        GCP_SA__nested__empty: { computed: "", computedVisibility: "masked", literal: true },
+      });
+    });
+
+    it("should reject values that are not JSON objects or arrays without revealing them", () => {
+      assert.throws(() => flattenJsonSecrets({ KEY: { computed: "{oops" } }, () => true), { message: "Secret KEY is not valid JSON" });
+      assert.throws(() => flattenJsonSecrets({ KEY: { computed: "42" } }, () => true), { message: "Secret KEY is not a JSON object or array" });
+    });
+
+    it("should reject leaves that collide with existing secrets", () => {
+      const secrets = { SA: { computed: '{"email":"a"}' }, SA__email: { computed: "b" } };
+      assert.throws(() => flattenJsonSecrets(secrets, (key) => key === "SA"), { message: /Secret SA__email from SA collides/ });
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import fs from "fs";
+import path from "path";
+
+export const OUTPUT_FORMATS = ["dotenv", "json", "yaml", "docker", "shell"];
+
+/**
+ * Quote a value for a dotenv file. Single quoted values are taken literally, so docker compose doesn't interpolate `$VAR`
+ * in them. Values with line breaks or single quotes are double quoted instead, with `\n` escapes to keep them on one line
+ * and `\$` escapes against interpolation.
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteDotenv(value) {
+  if (!/[\r\n']/.test(value)) {
+    return `'${value}'`;
+  }
+  const escaped = value
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\$/g, "\\$")
+    .replace(/\r/g, "\\r")
+    .replace(/\n/g, "\\n");
+  return `"${escaped}"`;
+}
+
+/**
+ * Quote a value for a POSIX shell. Single quoted strings are taken literally, so only single quotes need escaping.
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteShell(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+// Plain scalars YAML 1.1 parsers read as booleans or null rather than strings, e.g. an `ON` key becomes `true`
+const YAML_KEYWORDS = /^(?:y|n|yes|no|true|false|on|off|null)$/i;
+
+/**
+ * Quote a key for a YAML mapping when it isn't a plain string scalar
+ * @param {string} key
+ * @returns {string}
+ */
+function yamlKey(key) {
+  return /^[A-Za-z_][A-Za-z0-9_.-]*$/.test(key) && !YAML_KEYWORDS.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Serialize secret values to the given file format
+ * @param {Record<string, string>} values
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string}
+ */
+export function serialize(values, format) {
+  const entries = Object.entries(values);
+
+  switch (format) {
+    case "dotenv":
+      return entries.map(([key, value]) => `${key}=${quoteDotenv(value)}\n`).join("");
+    case "json":
+      return `${JSON.stringify(values, null, 2)}\n`;
+    case "yaml":
+      // JSON strings are valid YAML double quoted scalars, escapes included
+      return entries.map(([key, value]) => `${yamlKey(key)}: ${JSON.stringify(value)}\n`).join("");
+    case "docker":
+      // Docker env files are read verbatim: no quoting, no escapes and no way to represent line breaks
+      return entries
+        .map(([key, value]) => {
+          if (/[\r\n]/.test(value)) {
+            throw new Error(`Secret ${key} contains line breaks, which the docker env-file format does not support`);
+          }
+          return `${key}=${value}\n`;
+        })
+        .join("");
+    case "shell":
+      // Meant to be evaluated, so names are checked as well as values quoted
+      return entries
+        .map(([key, value]) => {
+          if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+            throw new Error(`Secret ${key} is not a valid shell variable name`);
+          }
+          return `export ${key}=${quoteShell(value)}\n`;
+        })
+        .join("");
+    default:
+      throw new Error(`Unsupported output format "${format}", expected one of ${OUTPUT_FORMATS.join(", ")}`);
+  }
+}
+
+/**
+ * Parse `KEY=VALUE` lines as written by the dotenv format. Values may be double quoted (supporting `\n`, `\r`, `\"`, `\$` and `\\` escapes)
+ * or single quoted (taken literally). Blank lines, `#` comments and a leading `export ` are ignored.
+ * @param {string} text
+ * @returns {Record<string, string>}
+ */
+export function parseDotenv(text) {
+  const values = {};
+  const lines = text.split(/\r?\n/);
+  for (const [index, rawLine] of lines.entries()) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+    if (!match) {
+      // Don't echo the line, it may hold a value
+      throw new Error(`Invalid dotenv line ${index + 1}, expected KEY=VALUE`);
+    }
+    const [, key, rawValue] = match;
+
+    let value;
+    const doubleQuoted = rawValue.match(/^"((?:[^"\\]|\\.)*)"(?:\s+#.*)?$/);
+    const singleQuoted = rawValue.match(/^'([^']*)'(?:\s+#.*)?$/);
+    if (doubleQuoted) {
+      value = doubleQuoted[1].replace(/\\(.)/g, (_, char) => ({ n: "\n", r: "\r" })[char] ?? char);
+    } else if (singleQuoted) {
+      value = singleQuoted[1];
+    } else {
+      value = rawValue.replace(/\s+#.*$/, "");
+    }
+    values[key] = value;
+  }
+  return values;
+}
+
+/**
+ * Write a file only readable by the current user, creating parent directories as needed
+ * @param {string} filePath
+ * @param {string | Buffer} content
+ * @returns {string} The absolute path written
+ */
+export function writeSecretFile(filePath, content) {
+  const absolutePath = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+  fs.writeFileSync(absolutePath, content, { mode: 0o600 });
+  // The mode only applies when the file is created
+  fs.chmodSync(absolutePath, 0o600);
+  return absolutePath;
+}
+
+/**
+ * Decode a base64 (or base64url) value, rejecting anything that isn't valid base64
+ * @param {string} key - Used in error messages, never the value
+ * @param {string} value
+ * @returns {Buffer}
+ */
+export function decodeBase64(key, value) {
+  const compact = value.replace(/\s+/g, "");
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(compact) || compact.length % 4 === 1) {
+    throw new Error(`Secret ${key} is not valid base64`);
+  }
+  return Buffer.from(compact, "base64");
+}
+
+/**
+ * Write each secret to its own file named after the secret, e.g. `<dir>/TLS_CERT`
+ * @param {string} dir
+ * @param {Record<string, string>} values
+ * @param {(key: string) => boolean} [isBase64] - Whether to base64-decode a secret before writing it
+ * @returns {Record<string, string>} Absolute file path for each secret
+ */
+export function writeSecretsDir(dir, values, isBase64 = () => false) {
+  const contents = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (key === "." || key === ".." || /[/\\\0]/.test(key)) {
+      throw new Error(`Secret ${key} cannot be used as a file name`);
+    }
+    contents[key] = isBase64(key) ? decodeBase64(key, value) : value;
+  }
+
+  const absoluteDir = path.resolve(dir);
+  fs.mkdirSync(absoluteDir, { recursive: true, mode: 0o700 });
+
+  const files = {};
+  for (const [key, content] of Object.entries(contents)) {
+    files[key] = writeSecretFile(path.join(absoluteDir, key), content);
+  }
+  return files;
+}
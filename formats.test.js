@@ -0,0 +1,158 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { decodeBase64, parseDotenv, serialize, writeSecretFile, writeSecretsDir } from "./formats.js";
+
+describe("Formats", () => {
+  const values = {
+    API_KEY: "abc123",
+    QUOTED: 'say "hi" \\ bye',
+    PEM: "-----BEGIN KEY-----\nabc\n-----END KEY-----",
+  };
+
+  describe("serialize()", () => {
+    it("should quote and escape dotenv values", () => {
+      assert.strictEqual(
+        serialize(values, "dotenv"),
+        'API_KEY=\'abc123\'\nQUOTED=\'say "hi" \\ bye\'\nPEM="-----BEGIN KEY-----\\nabc\\n-----END KEY-----"\n'
+      );
+    });
+
+    it("should keep docker compose from interpolating dotenv values", () => {
+      const text = serialize({ PASSWORD: "pa$word", NOTE: "it's ${HOME}\n" }, "dotenv");
+      assert.strictEqual(text, 'PASSWORD=\'pa$word\'\nNOTE="it\'s \\${HOME}\\n"\n');
+      assert.deepStrictEqual(parseDotenv(text), { PASSWORD: "pa$word", NOTE: "it's ${HOME}\n" });
+    });
+
+    it("should round-trip JSON", () => {
+      assert.deepStrictEqual(JSON.parse(serialize(values, "json")), values);
+    });
+
+    it("should write YAML double quoted scalars", () => {
+      assert.strictEqual(
+        serialize({ API_KEY: "abc: 123", "my key": "line1\nline2" }, "yaml"),
+        'API_KEY: "abc: 123"\n"my key": "line1\\nline2"\n'
+      );
+    });
+
+    it("should quote YAML 1.1 boolean and null keywords used as keys", () => {
+      assert.strictEqual(
+        serialize({ ON: "1", yes: "2", N: "3", Null: "4", "~": "5", ONLINE: "6" }, "yaml"),
+        '"ON": "1"\n"yes": "2"\n"N": "3"\n"Null": "4"\n"~": "5"\nONLINE: "6"\n'
+      );
+    });
+
+    it("should write docker env-file values verbatim", () => {
+      assert.strictEqual(serialize({ API_KEY: 'a "b" $c' }, "docker"), 'API_KEY=a "b" $c\n');
+    });
+
+    it("should reject multi-line values in docker env-files", () => {
+      assert.throws(() => serialize(values, "docker"), { message: /Secret PEM contains line breaks/ });
+    });
+
+    it("should quote shell exports", () => {
+      assert.strictEqual(serialize({ API_KEY: "it's $HOME\n" }, "shell"), "export API_KEY='it'\\''s $HOME\n'\n");
+      assert.throws(() => serialize({ "API-KEY": "a" }, "shell"), { message: /Secret API-KEY is not a valid shell variable name/ });
+    });
+
+    it("should reject unknown formats", () => {
+      assert.throws(() => serialize(values, "toml"), { message: /Unsupported output format "toml"/ });
+    });
+  });
+
+  describe("parseDotenv()", () => {
+    it("should parse plain, quoted and exported values", () => {
+      const text = [
+        "# comment",
+        "",
+        "PLAIN=abc123 # trailing comment",
+        'export QUOTED="say \\"hi\\"\\nbye"',
+        "SINGLE='$literal \\n'",
+        "EMPTY=",
+        "URL=https://example.com/#anchor",
+      ].join("\n");
+      assert.deepStrictEqual(parseDotenv(text), {
+        PLAIN: "abc123",
+        QUOTED: 'say "hi"\nbye',
+        SINGLE: "$literal \\n",
+        EMPTY: "",
+        URL: "https://example.com/#anchor",
+      });
+    });
+
+    it("should round-trip serialized dotenv files", () => {
+      assert.deepStrictEqual(parseDotenv(serialize(values, "dotenv")), values);
+    });
+
+    it("should reject malformed lines without revealing them", () => {
+      assert.throws(() => parseDotenv("API_KEY=abc\nsecret-value"), { message: "Invalid dotenv line 2, expected KEY=VALUE" });
+    });
+  });
+
+  describe("writeSecretFile()", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "doppler-formats-"));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("should create parent directories", () => {
+      const written = writeSecretFile(path.join(dir, "a", "b", "secrets.json"), "{}");
+      assert.strictEqual(fs.readFileSync(written, "utf8"), "{}");
+      assert.strictEqual(fs.statSync(written).mode & 0o777, 0o600);
+    });
+
+    it("should restrict permissions of existing files", () => {
+      const existing = path.join(dir, "nested", ".env");
+      fs.mkdirSync(path.dirname(existing));
+      fs.writeFileSync(existing, "old", { mode: 0o644 });
+
+      const written = writeSecretFile(existing, "API_KEY=abc\n");
+      assert.strictEqual(written, existing);
+      assert.strictEqual(fs.readFileSync(written, "utf8"), "API_KEY=abc\n");
+      assert.strictEqual(fs.statSync(written).mode & 0o777, 0o600);
+    });
+  });
+
+  describe("decodeBase64()", () => {
+    it("should decode base64 and base64url values", () => {
+      const binary = Buffer.from([0xfb, 0xff, 0x00, 0x10]);
+      assert.deepStrictEqual(decodeBase64("KEY", binary.toString("base64")), binary);
+      assert.deepStrictEqual(decodeBase64("KEY", binary.toString("base64url")), binary);
+      assert.deepStrictEqual(decodeBase64("KEY", "+/8A\nEA=="), Buffer.from([0xfb, 0xff, 0x00, 0x10]));
+    });
+
+    it("should reject invalid base64 without revealing the value", () => {
+      assert.throws(() => decodeBase64("KEYSTORE", "not base64!"), (error) => {
+        assert.strictEqual(error.message, "Secret KEYSTORE is not valid base64");
+        return true;
+      });
+    });
+  });
+
+  describe("writeSecretsDir()", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "doppler-secrets-dir-"));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("should write one restricted file per secret", () => {
+      const keystore = Buffer.from([0x00, 0xfe, 0xed, 0xfe]);
+      const files = writeSecretsDir(
+        path.join(dir, "mount"),
+        { TLS_CERT: "-----BEGIN CERTIFICATE-----\n", KEYSTORE: keystore.toString("base64") },
+        (key) => key === "KEYSTORE"
+      );
+
+      assert.deepStrictEqual(files, {
+        TLS_CERT: path.join(dir, "mount", "TLS_CERT"),
+        KEYSTORE: path.join(dir, "mount", "KEYSTORE"),
+      });
+      assert.strictEqual(fs.readFileSync(files.TLS_CERT, "utf8"), "-----BEGIN CERTIFICATE-----\n");
+      assert.deepStrictEqual(fs.readFileSync(files.KEYSTORE), keystore);
+      assert.strictEqual(fs.statSync(files.KEYSTORE).mode & 0o777, 0o600);
+    });
+
+    it("should reject secret names that are not plain file names", () => {
+      assert.throws(() => writeSecretsDir(dir, { "../ESCAPE": "x" }), { message: /cannot be used as a file name/ });
+      assert.ok(!fs.existsSync(path.join(path.dirname(dir), "ESCAPE")));
+    });
+  });
+});
@@ -0,0 +1,36 @@
+import { seal, unseal } from "./envelope.js";
+
+const PURPOSE = "handoff";
+
+/**
+ * Secrets sealed by one job for another
+ * @typedef {Object} Handoff
+ * @property {string} createdAt - ISO 8601 date
+ * @property {Record<string, Record>} secrets - Selected, with their Doppler names and visibility
+ * @property {Array<{ project: string, config: string, environment: string }>} configs - Each config fetched
+ */
+
+/**
+ * Encrypt secrets into a single line that can be passed as a job output or stored as an artifact
+ * @param {Record<string, Record>} secrets
+ * @param {Handoff["configs"]} configs
+ * @param {string} key
+ * @returns {string}
+ */
+export function sealSecrets(secrets, configs, key) {
+  // Only what the receiving job needs to mask and export the values
+  const sealed = Object.fromEntries(
+    Object.entries(secrets).map(([name, { computed, computedVisibility }]) => [name, { computed, computedVisibility }])
+  );
+  return seal(JSON.stringify({ createdAt: new Date().toISOString(), secrets: sealed, configs }), key, PURPOSE);
+}
+
+/**
+ * Decrypt secrets sealed by `sealSecrets()`
+ * @param {string} blob
+ * @param {string} key
+ * @returns {Handoff}
+ */
+export function unsealSecrets(blob, key) {
+  return JSON.parse(unseal(blob, key, PURPOSE));
+}
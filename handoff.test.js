@@ -0,0 +1,30 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { sealSecrets, unsealSecrets } from "./handoff.js";
+import { seal } from "./envelope.js";
+
+describe("Handoff", () => {
+  const secrets = {
+    API_KEY: { raw: "${shared.API_KEY}", computed: "secret-value", computedVisibility: "masked" },
+    LOG_LEVEL: { raw: "info", computed: "info", computedVisibility: "unmasked" },
+  };
+  const configs = [{ project: "api", config: "prd", environment: "prd" }];
+
+  it("should round-trip secrets with their visibility", () => {
+    const blob = sealSecrets(secrets, configs, "passphrase");
+    assert.ok(!blob.includes("secret-value"));
+
+    const handoff = unsealSecrets(blob, "passphrase");
+    assert.deepStrictEqual(handoff.secrets, {
+      API_KEY: { computed: "secret-value", computedVisibility: "masked" },
+      LOG_LEVEL: { computed: "info", computedVisibility: "unmasked" },
+    });
+    assert.deepStrictEqual(handoff.configs, configs);
+    assert.ok(!Number.isNaN(Date.parse(handoff.createdAt)));
+  });
+
+  it("should not unseal data sealed for another purpose", () => {
+    const snapshot = seal(JSON.stringify({ secrets }), "passphrase", "snapshot");
+    assert.throws(() => unsealSecrets(snapshot, "passphrase"), { message: /Unable to decrypt/ });
+  });
+});
@@ -0,0 +1,86 @@
+import core from "@actions/core";
+import { createAgent } from "./agent.js";
+
+/**
+ * Name of every input in action.yml, which are also the options of `run()` and the CLI
+ */
+export const INPUT_NAMES = [
+  "operation", "auth-method", "doppler-token", "doppler-project", "doppler-config",
+  "config-map", "github-environment", "branch-config", "branch-config-secrets", "sources", "on-source-collision",
+  "include", "exclude", "unavailable-secrets", "required", "required-schema",
+  "key-prefix", "key-suffix", "key-case", "rename",
+  "write-secrets", "write-secrets-file", "dry-run", "compare-configs", "compare-values", "compare-strictness",
+  "inject-env-vars", "mask-derived-values", "mask-min-length", "output-file", "output-format",
+  "template", "template-output", "secrets-dir", "secrets-dir-base64", "json-secrets", "json-secrets-inject-env-vars",
+  "env-allow", "env-deny", "on-conflict", "doppler-identity-id", "oidc-audience", "doppler-api-domain",
+  "ca-certificate", "client-certificate", "client-key",
+  "retry-max-attempts", "retry-base-delay", "request-timeout", "retry-deadline",
+  "snapshot-path", "snapshot-key", "snapshot-max-age", "seal-key", "seal-file", "sealed-secrets",
+  "config-version", "config-version-mismatch", "dynamic-secrets", "dynamic-secrets-ttl",
+];
+
+/**
+ * @typedef {Object} InputReader
+ * @property {(name: string, options?: { required?: boolean }) => string} getInput
+ * @property {(name: string) => string[]} getMultilineInput
+ */
+
+/**
+ * Read inputs from plain values with the same semantics as `@actions/core`: values are trimmed, unset inputs are
+ * empty and multiline inputs skip blank lines
+ * @param {Record<string, string | undefined>} values - Keyed by input name
+ * @returns {InputReader}
+ */
+export function createInputReader(values) {
+  const getInput = (name, { required = false } = {}) => {
+    const value = (values[name] ?? "").trim();
+    if (required && !value) {
+      throw new Error(`Input required and not supplied: ${name}`);
+    }
+    return value;
+  };
+  const getMultilineInput = (name) => getInput(name).split("\n").map((line) => line.trim()).filter(Boolean);
+  return { getInput, getMultilineInput };
+}
+
+/**
+ * Read an optional numeric input
+ * @param {string} name
+ * @param {{ min?: number, integer?: boolean }} [constraints]
+ * @param {InputReader} [inputs]
+ * @returns {number | undefined} undefined when the input is empty
+ */
+export function getNumberInput(name, { min = 0, integer = false } = {}, inputs = core) {
+  const input = inputs.getInput(name);
+  if (input === "") {
+    return undefined;
+  }
+  const value = Number(input);
+  if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+    throw new Error(`Input ${name} must be ${integer ? "an integer" : "a number"} greater than or equal to ${min}`);
+  }
+  return value;
+}
+
+/**
+ * Read the retry, timeout, proxy and TLS inputs shared by every Doppler API call
+ * @param {string} apiDomain
+ * @param {InputReader} [inputs]
+ * @returns {import("./doppler.js").RequestOptions}
+ */
+export function getRequestOptions(apiDomain, inputs = core) {
+  const seconds = (value) => (value === undefined ? undefined : value * 1000);
+  const options = {
+    maxAttempts: getNumberInput("retry-max-attempts", { min: 1, integer: true }, inputs),
+    baseDelay: seconds(getNumberInput("retry-base-delay", {}, inputs)),
+    timeout: seconds(getNumberInput("request-timeout", {}, inputs)),
+    deadline: seconds(getNumberInput("retry-deadline", {}, inputs)),
+    agent: createAgent(apiDomain, {
+      ca: inputs.getInput("ca-certificate"),
+      cert: inputs.getInput("client-certificate"),
+      key: inputs.getInput("client-key"),
+    }),
+  };
+  // Leave unset options to the defaults in doppler.js
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,63 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import { INPUT_NAMES, createInputReader, getNumberInput, getRequestOptions } from "./inputs.js";
+
+describe("Inputs", () => {
+  const names = ["RETRY-MAX-ATTEMPTS", "RETRY-BASE-DELAY", "REQUEST-TIMEOUT", "RETRY-DEADLINE"];
+
+  afterEach(() => {
+    for (const name of names) {
+      delete process.env[`INPUT_${name}`];
+    }
+  });
+
+  describe("INPUT_NAMES", () => {
+    it("should list every input of action.yml", () => {
+      const action = fs.readFileSync(new URL("./action.yml", import.meta.url), "utf8");
+      const section = action.slice(action.indexOf("\ninputs:"), action.indexOf("\noutputs:"));
+      const names = [...section.matchAll(/^ {2}([a-z0-9-]+):$/gm)].map(([, name]) => name);
+      assert.deepStrictEqual([...INPUT_NAMES].sort(), names.sort());
+    });
+  });
+
+  describe("createInputReader()", () => {
+    it("should read values like @actions/core", () => {
+      const inputs = createInputReader({ "doppler-token": " dp.st.x ", "include": "A\n\n  B  \n" });
+      assert.strictEqual(inputs.getInput("doppler-token"), "dp.st.x");
+      assert.strictEqual(inputs.getInput("doppler-config"), "");
+      assert.deepStrictEqual(inputs.getMultilineInput("include"), ["A", "B"]);
+      assert.deepStrictEqual(inputs.getMultilineInput("exclude"), []);
+      assert.throws(() => inputs.getInput("doppler-config", { required: true }), { message: "Input required and not supplied: doppler-config" });
+    });
+
+    it("should be accepted wherever inputs are read", () => {
+      const inputs = createInputReader({ "retry-max-attempts": "2", "request-timeout": "5" });
+      assert.deepStrictEqual(getRequestOptions("api.doppler.com", inputs), { maxAttempts: 2, timeout: 5000 });
+    });
+  });
+
+  describe("getNumberInput()", () => {
+    it("should return undefined for empty inputs", () => {
+      assert.strictEqual(getNumberInput("retry-deadline"), undefined);
+    });
+
+    it("should reject values outside the constraints", () => {
+      process.env["INPUT_RETRY-MAX-ATTEMPTS"] = "1.5";
+      assert.throws(() => getNumberInput("retry-max-attempts", { min: 1, integer: true }), {
+        message: "Input retry-max-attempts must be an integer greater than or equal to 1",
+      });
+      process.env["INPUT_RETRY-DEADLINE"] = "soon";
+      assert.throws(() => getNumberInput("retry-deadline"), { message: /must be a number/ });
+    });
+  });
+
+  describe("getRequestOptions()", () => {
+    it("should convert seconds to milliseconds and omit empty inputs", () => {
+      process.env["INPUT_RETRY-MAX-ATTEMPTS"] = "3";
+      process.env["INPUT_RETRY-BASE-DELAY"] = "0.25";
+      process.env["INPUT_RETRY-DEADLINE"] = "60";
+      assert.deepStrictEqual(getRequestOptions("api.doppler.com"), { maxAttempts: 3, baseDelay: 250, deadline: 60000 });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import { issueLease, revokeLease } from "./doppler.js";
+import { SEPARATOR } from "./flatten.js";
+
+/**
+ * What the post step needs to revoke a lease
+ * @typedef {Object} LeaseRecord
+ * @property {string} project
+ * @property {string} config
+ * @property {string} dynamicSecret
+ * @property {string} id
+ */
+
+/**
+ * Issue a lease of each dynamic secret, one after the other. `onLease` is called as soon as a lease is issued so it can
+ * be recorded for revocation even when a later one fails.
+ * @param {string} dopplerToken
+ * @param {string} dopplerProject
+ * @param {string} dopplerConfig
+ * @param {string[]} dynamicSecrets
+ * @param {number | undefined} ttl - Lease duration in seconds
+ * @param {string} apiDomain
+ * @param {import("./doppler.js").RequestOptions} options
+ * @param {(record: LeaseRecord, lease: import("./doppler.js").Lease) => void} onLease
+ * @returns {Promise<Record<string, Record>>} The credentials as secrets named `<dynamic secret>__<credential>`
+ */
+export async function issueLeases(dopplerToken, dopplerProject, dopplerConfig, dynamicSecrets, ttl, apiDomain, options, onLease) {
+  const credentials = {};
+  for (const dynamicSecret of dynamicSecrets) {
+    const lease = await issueLease(dopplerToken, dopplerProject, dopplerConfig, dynamicSecret, ttl, apiDomain, options);
+    onLease({ project: dopplerProject, config: dopplerConfig, dynamicSecret, id: lease.id }, lease);
+
+    for (const [name, value] of Object.entries(lease.value)) {
+      credentials[`${dynamicSecret}${SEPARATOR}${name}`] = { computed: String(value), computedVisibility: "masked" };
+    }
+  }
+  return credentials;
+}
+
+/**
+ * Revoke every recorded lease, a failure doesn't stop the others
+ * @param {string} dopplerToken
+ * @param {LeaseRecord[]} leases
+ * @param {string} apiDomain
+ * @param {import("./doppler.js").RequestOptions} [options]
+ * @returns {Promise<Array<{ lease: LeaseRecord, revoked: boolean, error?: Error }>>} `revoked` is false for leases that had already expired
+ */
+export async function revokeLeases(dopplerToken, leases, apiDomain, options = {}) {
+  return Promise.all(leases.map(async (lease) => {
+    try {
+      const revoked = await revokeLease(dopplerToken, lease.project, lease.config, lease.dynamicSecret, lease.id, apiDomain, options);
+      return { lease, revoked };
+    } catch (error) {
+      return { lease, revoked: false, error };
+    }
+  }));
+}
@@ -0,0 +1,66 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert";
+import https from "https";
+import { issueLeases, revokeLeases } from "./leases.js";
+import { mockDoppler } from "./mock-doppler.js";
+
+describe("Leases", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("should issue a lease of each dynamic secret and revoke them", async () => {
+    const { leases } = mockDoppler({ api: { prd: {} } }, { dynamicSecrets: ["DB", "CACHE"] });
+    const records = [];
+
+    const credentials = await issueLeases("dp.sa.token", "api", "prd", ["DB", "CACHE"], 600, "api.doppler.com", {}, (record) => records.push(record));
+    assert.deepStrictEqual(Object.keys(credentials), ["DB__USERNAME", "DB__PASSWORD", "CACHE__USERNAME", "CACHE__PASSWORD"]);
+    assert.deepStrictEqual(credentials.DB__PASSWORD, { computed: "password-lease-1", computedVisibility: "masked" });
+    assert.deepStrictEqual(records, [
+      { project: "api", config: "prd", dynamicSecret: "DB", id: "lease-1" },
+      { project: "api", config: "prd", dynamicSecret: "CACHE", id: "lease-2" },
+    ]);
+    assert.strictEqual(leases["lease-1"].ttl_sec, 600);
+
+    const results = await revokeLeases("dp.sa.token", records, "api.doppler.com");
+    assert.deepStrictEqual(results.map(({ revoked }) => revoked), [true, true]);
+    assert.ok(Object.values(leases).every((lease) => lease.revoked));
+
+    // Already revoked, or expired
+    const again = await revokeLeases("dp.sa.token", records, "api.doppler.com");
+    assert.deepStrictEqual(again.map(({ revoked, error }) => [revoked, error]), [[false, undefined], [false, undefined]]);
+  });
+
+  it("should not retry a lease request after a network error", async () => {
+    // The lease may have been issued, a retry would issue another one that is never revoked
+    const request = mock.method(https, "request", () => {
+      const pending = {
+        on: (event, handler) => {
+          if (event === "error") {
+            handler(Object.assign(new Error("socket hang up"), { code: "ECONNRESET" }));
+          }
+          return pending;
+        },
+        write: () => {},
+        end: () => {},
+      };
+      return pending;
+    });
+
+    await assert.rejects(issueLeases("dp.sa.token", "api", "prd", ["DB"], 600, "api.doppler.com", { baseDelay: 1 }, () => {}), {
+      message: /socket hang up/,
+    });
+    assert.strictEqual(request.mock.callCount(), 1);
+  });
+
+  it("should record the leases issued before a failure", async () => {
+    mockDoppler({ api: { prd: {} } }, { dynamicSecrets: ["DB"] });
+    const records = [];
+
+    await assert.rejects(
+      issueLeases("dp.sa.token", "api", "prd", ["DB", "UNKNOWN"], undefined, "api.doppler.com", {}, (record) => records.push(record)),
+      { message: /Could not find requested dynamic secret/ }
+    );
+    assert.deepStrictEqual(records.map(({ id }) => id), ["lease-1"]);
+  });
+});
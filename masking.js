@@ -0,0 +1,32 @@
+/**
+ * Compute the encodings a secret commonly takes when a tool prints it, so each of them can be masked alongside the raw value:
+ * base64, base64url, URL-encoded, JSON-escaped and each line of multi-line values (except PEM armor lines).
+ * Forms shorter than `minLength` are left out so short values don't mask unrelated log output.
+ * @param {string} value
+ * @param {number} minLength
+ * @returns {string[]} Forms that differ from the raw value
+ */
+export function derivedForms(value, minLength) {
+  if (value.length < minLength) {
+    return [];
+  }
+
+  const forms = new Set([
+    Buffer.from(value).toString("base64"),
+    Buffer.from(value).toString("base64url"),
+    encodeURIComponent(value),
+    JSON.stringify(value).slice(1, -1),
+  ]);
+
+  if (/[\r\n]/.test(value)) {
+    for (const line of value.split(/\r?\n|\r/)) {
+      const trimmed = line.trim();
+      if (!/^-----(BEGIN|END) [A-Z0-9 ]+-----$/.test(trimmed)) {
+        forms.add(trimmed);
+      }
+    }
+  }
+
+  forms.delete(value);
+  return [...forms].filter((form) => form.length >= minLength);
+}
@@ -0,0 +1,184 @@
+import { mock } from "node:test";
+import https from "https";
+
+/**
+ * In-memory stand-in for the Doppler API, for tests. Replaces `https.get` and `https.request` with handlers
+ * that serve configs and secrets from `state`, and records every request.
+ * Restore the originals with `mock.restoreAll()`.
+ * @param {Record<string, Record<string, Record<string, string>>>} projects - Secret values by project and config
+ * @param {Object} [options]
+ * @param {Record<string, string>} [options.identities] - Service account identities by ID, with the `sub` claim they trust
+ * @param {string[]} [options.dynamicSecrets] - Names of the dynamic secrets available in every config
+ * @param {Record<string, string>} [options.serviceTokens] - The `project/config` each service token reads
+ * @param {Record<string, string>} [options.environments] - Environment slug of root configs by `project/config`, for
+ *   those not named after their environment. Configs with an underscore are otherwise branch configs of the environment
+ *   before it.
+ * @returns {{ projects: Record<string, Record<string, Record<string, string>>>, logs: Record<string, Array<{ id: string, created_at: string }>>, leases: Record<string, Object>, requests: Array<{ method: string, path: string, query: Record<string, string>, body?: Object }> }}
+ */
+export function mockDoppler(projects, { identities = {}, dynamicSecrets = [], serviceTokens = {}, environments = {} } = {}) {
+  const requests = [];
+  // Issued leases by ID, kept once revoked
+  const leases = {};
+  // Config logs by `project/config`, newest first. Each config starts with one log and each write adds one.
+  const logs = {};
+  const configLogs = (project, config) => {
+    logs[`${project}/${config}`] ||= [{ id: `${config}-1`, created_at: "2024-01-01T00:00:00.000Z" }];
+    return logs[`${project}/${config}`];
+  };
+
+  // Environment slug of branch configs created through the API by `project/config`
+  const branches = {};
+  const isRoot = (project, config) => !branches[`${project}/${config}`] && (`${project}/${config}` in environments || !config.includes("_"));
+  const environmentOf = (project, config) =>
+    branches[`${project}/${config}`] ?? environments[`${project}/${config}`] ?? (isRoot(project, config) ? config : config.split("_")[0]);
+  const rootOf = (project, environment) =>
+    Object.keys(projects[project] ?? {}).find((config) => isRoot(project, config) && environmentOf(project, config) === environment);
+
+  const json = (statusCode, payload) => ({ statusCode, payload });
+  const notFound = (what) => json(404, { messages: [`Could not find requested ${what}`], success: false });
+
+  const routes = {
+    "POST /v3/auth/oidc": ({ body }) => {
+      const { sub } = JSON.parse(Buffer.from(body.token.split(".")[1], "base64url").toString("utf8"));
+      if (identities[body.identity] !== sub) {
+        return json(403, { messages: ["The identity does not trust this token"], success: false });
+      }
+      return json(200, { success: true, token: `dp.said.${body.identity}` });
+    },
+    "POST /v3/auth/revoke": () => json(200, { success: true }),
+    "GET /v3/configs/config": ({ query }) => {
+      const config = projects[query.project]?.[query.config];
+      if (!config) {
+        return notFound("config");
+      }
+      const { project, config: name } = query;
+      return json(200, { config: { name, project, environment: environmentOf(project, name), root: isRoot(project, name) } });
+    },
+    "POST /v3/configs": ({ body }) => {
+      if (!rootOf(body.project, body.environment)) {
+        return notFound("environment");
+      }
+      if (!body.name.startsWith(`${body.environment}_`)) {
+        return json(400, { messages: ["Branch config names must be prefixed with the environment"], success: false });
+      }
+      projects[body.project][body.name] = {};
+      branches[`${body.project}/${body.name}`] = body.environment;
+      return json(200, { config: { name: body.name, project: body.project, environment: body.environment, root: false } });
+    },
+    "DELETE /v3/configs/config": ({ body }) => {
+      if (!projects[body.project]?.[body.config]) {
+        return notFound("config");
+      }
+      delete projects[body.project][body.config];
+      delete branches[`${body.project}/${body.config}`];
+      return json(200, { success: true });
+    },
+    "GET /v3/configs/config/secrets": ({ query, token }) => {
+      // Service tokens read their own config without a project and config
+      const [project, configName] = query.project ? [query.project, query.config] : (serviceTokens[token] ?? "").split("/");
+      const config = projects[project]?.[configName];
+      if (!config) {
+        return notFound("config");
+      }
+      // Branch configs inherit the values of their root config
+      const root = isRoot(project, configName) ? {} : projects[project][rootOf(project, environmentOf(project, configName))];
+      const values = { ...root, ...config };
+      const secrets = Object.fromEntries(
+        Object.entries(values).map(([key, value]) => [key, { raw: value, computed: value, computedVisibility: "masked" }])
+      );
+      return json(200, { secrets });
+    },
+    "POST /v3/configs/config/secrets": ({ body }) => {
+      const config = projects[body.project]?.[body.config];
+      if (!config) {
+        return notFound("config");
+      }
+      const history = configLogs(body.project, body.config);
+      const diff = Object.entries(body.secrets)
+        .filter(([name, value]) => config[name] !== value)
+        .map(([name, value]) => (name in config ? { name, added: value, removed: config[name] } : { name, added: value }));
+      Object.assign(config, body.secrets);
+      history.unshift({ id: `${body.config}-${history.length + 1}`, created_at: new Date().toISOString(), diff });
+      return json(200, { secrets: body.secrets });
+    },
+    "POST /v3/configs/config/dynamic_secrets/dynamic_secret/leases": ({ body }) => {
+      if (!projects[body.project]?.[body.config] || !dynamicSecrets.includes(body.dynamic_secret)) {
+        return notFound("dynamic secret");
+      }
+      const id = `lease-${Object.keys(leases).length + 1}`;
+      leases[id] = { ...body, revoked: false };
+      const value = { USERNAME: `user-${id}`, PASSWORD: `password-${id}` };
+      return json(200, { success: true, id, expires_at: "2024-01-01T01:00:00.000Z", value });
+    },
+    "DELETE /v3/configs/config/dynamic_secrets/dynamic_secret/leases/lease": ({ body }) => {
+      const lease = leases[body.slug];
+      if (!lease || lease.revoked) {
+        return notFound("lease");
+      }
+      lease.revoked = true;
+      return json(200, { success: true });
+    },
+    "GET /v3/configs/config/logs": ({ query }) => {
+      if (!projects[query.project]?.[query.config]) {
+        return notFound("config");
+      }
+      const start = (Number(query.page) - 1) * Number(query.per_page);
+      return json(200, { logs: configLogs(query.project, query.config).slice(start, start + Number(query.per_page)), page: Number(query.page) });
+    },
+  };
+
+  const respond = (method, url, headers, rawBody, callback) => {
+    const { pathname, searchParams } = new URL(url);
+    const request = { method, path: pathname, query: Object.fromEntries(searchParams) };
+    // Basic auth with the token as the user name
+    const token = Buffer.from((headers?.Authorization ?? "").replace(/^Basic /, ""), "base64").toString("utf8").replace(/:$/, "");
+    if (rawBody) {
+      request.body = JSON.parse(rawBody);
+    }
+    requests.push(request);
+
+    const route = routes[`${method} ${pathname}`];
+    const { statusCode, payload } = route ? route({ ...request, token }) : notFound("route");
+    const response = {
+      statusCode,
+      headers: { "content-type": "application/json" },
+      on: (event, handler) => {
+        if (event === "data") {
+          handler(JSON.stringify(payload));
+        } else if (event === "end") {
+          handler();
+        }
+        return response;
+      },
+    };
+    callback(response);
+  };
+
+  mock.method(https, "get", (url, options, callback) => {
+    respond("GET", url, options.headers, "", callback);
+    return { on: () => {} };
+  });
+
+  mock.method(https, "request", (url, options, callback) => {
+    let rawBody = "";
+    return {
+      on: () => {},
+      write: (data) => {
+        rawBody += data;
+      },
+      end: () => respond(options.method, url, options.headers, rawBody, callback),
+    };
+  });
+
+  return { projects, logs, leases, requests };
+}
+
+/**
+ * Build an unsigned JWT carrying the given claims, like the OIDC tokens of GitHub Actions
+ * @param {Record<string, any>} claims
+ * @returns {string}
+ */
+export function fakeJwt(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  return `${encode({ alg: "RS256", typ: "JWT" })}.${encode(claims)}.signature`;
+}
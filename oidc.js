@@ -0,0 +1,38 @@
+// Identify the workflow run without being secret, unlike the token itself
+export const DIAGNOSTIC_CLAIMS = ["sub", "aud", "ref", "environment", "repository", "job_workflow_ref"];
+
+export const TRUST_RULE_GUIDANCE = [
+  "Doppler rejected the OIDC token. Compare its claims with the trust settings of the service account identity:",
+  "- Subject: must match `sub` (wildcards are allowed). Jobs using a GitHub environment get `environment:<name>` in `sub` instead of `ref:<ref>`.",
+  "- Audiences: must include `aud`, which can be changed with the `oidc-audience` input.",
+  "- Issuer: must be https://token.actions.githubusercontent.com.",
+].join("\n");
+
+/**
+ * Decode the claims of a JWT without verifying it, for diagnostics only
+ * @param {string} jwt
+ * @returns {Record<string, any>}
+ */
+export function decodeClaims(jwt) {
+  const payload = jwt.split(".")[1];
+  try {
+    return JSON.parse(Buffer.from(payload ?? "", "base64url").toString("utf8"));
+  } catch {
+    throw new Error("The OIDC token is not a valid JWT");
+  }
+}
+
+/**
+ * The diagnostic claims of a token, missing claims included so their absence is visible
+ * @param {Record<string, any>} claims
+ * @returns {Array<[string, string]>} Claim name and value
+ */
+export function diagnosticClaims(claims) {
+  return DIAGNOSTIC_CLAIMS.map((name) => {
+    const value = claims[name];
+    if (value === undefined) {
+      return [name, "(not set)"];
+    }
+    return [name, Array.isArray(value) ? value.join(", ") : String(value)];
+  });
+}
@@ -0,0 +1,38 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { decodeClaims, diagnosticClaims } from "./oidc.js";
+import { fakeJwt } from "./mock-doppler.js";
+
+
+describe("OIDC", () => {
+  describe("decodeClaims()", () => {
+    it("should decode the payload of a JWT", () => {
+      const claims = { sub: "repo:acme/api:ref:refs/heads/main", aud: "https://github.com/acme" };
+      assert.deepStrictEqual(decodeClaims(fakeJwt(claims)), claims);
+    });
+
+    it("should reject malformed tokens", () => {
+      assert.throws(() => decodeClaims("not-a-jwt"), { message: "The OIDC token is not a valid JWT" });
+      assert.throws(() => decodeClaims("a.b.c"), { message: "The OIDC token is not a valid JWT" });
+    });
+  });
+
+  describe("diagnosticClaims()", () => {
+    it("should list only the diagnostic claims", () => {
+      const rows = diagnosticClaims({
+        sub: "repo:acme/api:environment:production",
+        aud: ["https://github.com/acme", "doppler"],
+        repository: "acme/api",
+        jti: "ignored",
+      });
+      assert.deepStrictEqual(rows, [
+        ["sub", "repo:acme/api:environment:production"],
+        ["aud", "https://github.com/acme, doppler"],
+        ["ref", "(not set)"],
+        ["environment", "(not set)"],
+        ["repository", "acme/api"],
+        ["job_workflow_ref", "(not set)"],
+      ]);
+    });
+  });
+});
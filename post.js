@@ -0,0 +1,4 @@
+import core from "@actions/core";
+import { cleanup } from "./cleanup.js";
+
+await cleanup(core);
@@ -0,0 +1,657 @@
+import crypto from "crypto";
+import fs from "fs";
+import { DOPPLER_META, fetch, isUnavailable, oidcAuth, updateSecrets } from "./doppler.js";
+import { deleteBranchConfig, ensureBranchConfig } from "./branches.js";
+import { STRICTNESS_LEVELS, compareConfigs, driftFailures } from "./compare.js";
+import { parseConfigMap, resolveConfig } from "./configmap.js";
+import { CONFLICT_MODES, planEnvExports } from "./env.js";
+import { OUTPUT_FORMATS, parseDotenv, serialize, writeSecretFile, writeSecretsDir } from "./formats.js";
+import { flattenJsonSecrets } from "./flatten.js";
+import { issueLeases } from "./leases.js";
+import { sealSecrets, unsealSecrets } from "./handoff.js";
+import { createInputReader, getNumberInput, getRequestOptions } from "./inputs.js";
+import { derivedForms } from "./masking.js";
+import { TRUST_RULE_GUIDANCE, decodeClaims, diagnosticClaims } from "./oidc.js";
+import { compilePatterns, filterSecrets, matchesAny } from "./filters.js";
+import { readSnapshot, writeSnapshot } from "./snapshot.js";
+import { SOURCE_COLLISION_MODES, describeSource, mergeSources, parseSources } from "./sources.js";
+import { addFetchSummary, describeFetchedConfig } from "./summary.js";
+import { render } from "./template.js";
+import { KEY_CASES, parseRenames, transformSecrets } from "./transform.js";
+import { diffValues, readValuesFile } from "./write.js";
+import { VERSION_MISMATCH_MODES, fetchVersioned, rebuildVersion } from "./versions.js";
+import { UNAVAILABLE_POLICIES, findUnavailable, parseRules, readSchema, validateSecrets } from "./validate.js";
+
+const OPERATIONS = ["fetch", "write", "compare", "delete-branch-config", "unseal"];
+
+// Outputs set by the action itself, which an output named after a secret would overwrite or be overwritten by
+const RESERVED_OUTPUTS = [
+  "output-file", "template-output", "secrets-dir-files", "unavailable-secrets", "resolved-project", "resolved-config",
+  "changed-secrets", "compare-report", "source", "config-version", "sealed-secrets", "secret-names", "secret-count",
+  "secrets-json",
+];
+
+/**
+ * Where `run()` reports progress and results. `@actions/core` is a complete implementation.
+ * @typedef {Object} RunIO
+ * @property {(message: string) => void} info
+ * @property {(message: string) => void} warning
+ * @property {(value: string) => void} setSecret - Mask a value in logs
+ * @property {(name: string, value: string | number) => void} setOutput
+ * @property {(name: string, value: string) => void} exportVariable
+ * @property {(name: string, value: string) => void} saveState - Read back by the post step
+ * @property {(audience?: string) => Promise<string>} [getIDToken] - Required when auth-method is "oidc"
+ * @property {typeof import("@actions/core").summary} [summary] - The job summary is skipped without it
+ */
+
+/**
+ * Fetch, write or compare secrets as described by the action inputs
+ * @param {Record<string, string | undefined>} options - Input values keyed by their name in action.yml
+ * @param {RunIO} io
+ * @returns {Promise<Record<string, string>>} The value of each secret set as an output, empty for operations other than fetch
+ */
+export async function run(options, io) {
+  const inputs = createInputReader(options);
+
+  const OPERATION = inputs.getInput("operation") || "fetch";
+  if (!OPERATIONS.includes(OPERATION)) {
+    throw new Error(`Unsupported operation, expected one of ${OPERATIONS.join(", ")}`);
+  }
+
+  const AUTH_METHOD = inputs.getInput("auth-method") || "token";
+  const API_DOMAIN = inputs.getInput("doppler-api-domain") || "api.doppler.com";
+  // Shared by every request so the job summary can report retries and timing
+  const REQUEST_STATS = { requests: 0, attempts: 0, duration: 0 };
+  const REQUEST_OPTIONS = { ...getRequestOptions(API_DOMAIN, inputs), stats: REQUEST_STATS };
+  let DOPPLER_TOKEN = "";
+  // Set when the Doppler API was unavailable for the OIDC token exchange, to fall back to the snapshot
+  let authError = null;
+
+  // Unsealed secrets come from an earlier job, without calling Doppler
+  if (OPERATION !== "unseal") {
+    if (AUTH_METHOD === "oidc") {
+      const DOPPLER_IDENTITY_ID = inputs.getInput("doppler-identity-id", { required: true });
+      if (!io.getIDToken) {
+        throw new Error("auth-method oidc is not supported here, no OIDC token is available");
+      }
+      const oidcToken = await io.getIDToken(inputs.getInput("oidc-audience") || undefined);
+      io.setSecret(oidcToken);
+      try {
+        DOPPLER_TOKEN = await oidcAuth(DOPPLER_IDENTITY_ID, oidcToken, API_DOMAIN, REQUEST_OPTIONS);
+        // The post step revokes the short lived token once the job completes
+        io.saveState("oidc-token", DOPPLER_TOKEN);
+        io.saveState("api-domain", API_DOMAIN);
+      } catch (error) {
+        if (error.statusCode === 401 || error.statusCode === 403) {
+          await reportOidcClaims(oidcToken, io);
+        }
+        // During an outage the snapshot fallback applies to the token exchange as much as to the fetch
+        if (!(OPERATION === "fetch" && inputs.getInput("snapshot-path") && isUnavailable(error))) {
+          throw error;
+        }
+        authError = error;
+      }
+    } else if (AUTH_METHOD === "token") {
+      DOPPLER_TOKEN = inputs.getInput("doppler-token", { required: true });
+    } else {
+      throw new Error("Unsupported auth-method");
+    }
+
+    if (DOPPLER_TOKEN) {
+      io.setSecret(DOPPLER_TOKEN);
+    }
+  }
+
+  // Tokens obtained via OIDC are Service Account Identity tokens, even when the exchange failed
+  const IS_SA_TOKEN = DOPPLER_TOKEN.startsWith("dp.sa.") || DOPPLER_TOKEN.startsWith("dp.said.") || Boolean(authError);
+  const IS_PERSONAL_TOKEN = DOPPLER_TOKEN.startsWith("dp.pt.");
+  let DOPPLER_PROJECT = (IS_SA_TOKEN || IS_PERSONAL_TOKEN) ? inputs.getInput("doppler-project") : null;
+  let DOPPLER_CONFIG = (IS_SA_TOKEN || IS_PERSONAL_TOKEN) ? inputs.getInput("doppler-config") : null;
+  const SOURCES = parseSources(inputs.getMultilineInput("sources"));
+  const ON_SOURCE_COLLISION = inputs.getInput("on-source-collision") || "warn";
+  const CONFIG_MAP = parseConfigMap(inputs.getMultilineInput("config-map"));
+  const BRANCH_CONFIG = inputs.getInput("branch-config");
+  const INCLUDE = compilePatterns(inputs.getMultilineInput("include"));
+  const EXCLUDE = compilePatterns(inputs.getMultilineInput("exclude"));
+  const UNAVAILABLE_POLICY = inputs.getInput("unavailable-secrets") || "empty";
+  if (!UNAVAILABLE_POLICIES.includes(UNAVAILABLE_POLICY)) {
+    throw new Error(`Unsupported unavailable-secrets policy, expected one of ${UNAVAILABLE_POLICIES.join(", ")}`);
+  }
+  const REQUIRED = parseRules(inputs.getMultilineInput("required"));
+  const REQUIRED_SCHEMA = inputs.getInput("required-schema");
+  if (REQUIRED_SCHEMA) {
+    REQUIRED.push(...readSchema(REQUIRED_SCHEMA));
+  }
+  const KEY_TRANSFORM = {
+    prefix: inputs.getInput("key-prefix"),
+    suffix: inputs.getInput("key-suffix"),
+    keyCase: inputs.getInput("key-case"),
+    rename: parseRenames(inputs.getMultilineInput("rename")),
+  };
+  const MASK_DERIVED_VALUES = inputs.getInput("mask-derived-values") !== "false";
+  const MASK_MIN_LENGTH = getNumberInput("mask-min-length", { integer: true }, inputs) ?? 6;
+  const INJECT_ENV_VARS = inputs.getInput("inject-env-vars") === "true";
+  const JSON_SECRETS = compilePatterns(inputs.getMultilineInput("json-secrets"));
+  const JSON_SECRETS_INJECT_ENV_VARS = inputs.getInput("json-secrets-inject-env-vars") === "true";
+  const ENV_ALLOW = compilePatterns(inputs.getMultilineInput("env-allow"));
+  const ENV_DENY = compilePatterns(inputs.getMultilineInput("env-deny"));
+  const ON_CONFLICT = inputs.getInput("on-conflict") || "overwrite";
+  const OUTPUT_FILE = inputs.getInput("output-file");
+  const OUTPUT_FORMAT = inputs.getInput("output-format") || "dotenv";
+  const TEMPLATE = inputs.getInput("template");
+  const TEMPLATE_OUTPUT = inputs.getInput("template-output");
+  const SECRETS_DIR = inputs.getInput("secrets-dir");
+  const SECRETS_DIR_BASE64 = compilePatterns(inputs.getMultilineInput("secrets-dir-base64"));
+  const SNAPSHOT_PATH = inputs.getInput("snapshot-path");
+  const SNAPSHOT_KEY = inputs.getInput("snapshot-key");
+  const SNAPSHOT_MAX_AGE = (getNumberInput("snapshot-max-age", {}, inputs) ?? 86400) * 1000;
+  const SEAL_KEY = inputs.getInput("seal-key");
+  const SEAL_FILE = inputs.getInput("seal-file");
+  const SEALED_SECRETS = inputs.getInput("sealed-secrets");
+  // "latest" records the version without pinning it
+  const CONFIG_VERSION = inputs.getInput("config-version");
+  const CONFIG_VERSION_MISMATCH = inputs.getInput("config-version-mismatch") || "warn";
+  const DYNAMIC_SECRETS = inputs.getMultilineInput("dynamic-secrets");
+  const DYNAMIC_SECRETS_TTL = getNumberInput("dynamic-secrets-ttl", { min: 1, integer: true }, inputs);
+  if (KEY_TRANSFORM.keyCase && !KEY_CASES.includes(KEY_TRANSFORM.keyCase)) {
+    throw new Error(`Unsupported key-case, expected one of ${KEY_CASES.join(", ")}`);
+  }
+  if (!CONFLICT_MODES.includes(ON_CONFLICT)) {
+    throw new Error(`Unsupported on-conflict, expected one of ${CONFLICT_MODES.join(", ")}`);
+  }
+  if (Boolean(TEMPLATE) !== Boolean(TEMPLATE_OUTPUT)) {
+    throw new Error("The template and template-output inputs must be provided together");
+  }
+  if (Boolean(SNAPSHOT_PATH) !== Boolean(SNAPSHOT_KEY)) {
+    throw new Error("The snapshot-path and snapshot-key inputs must be provided together");
+  }
+  if (SNAPSHOT_KEY) {
+    io.setSecret(SNAPSHOT_KEY);
+  }
+  if (SEAL_KEY) {
+    io.setSecret(SEAL_KEY);
+  }
+  if (OPERATION === "unseal") {
+    if (!SEAL_KEY || !(SEALED_SECRETS || SEAL_FILE)) {
+      throw new Error("The unseal operation requires seal-key and either sealed-secrets or seal-file");
+    }
+    if (SOURCES.length > 0 || CONFIG_MAP.length > 0 || BRANCH_CONFIG || DYNAMIC_SECRETS.length > 0) {
+      throw new Error("The unseal operation cannot be combined with sources, config-map, branch-config or dynamic-secrets");
+    }
+  }
+  if (DYNAMIC_SECRETS.length > 0 && SOURCES.length > 0) {
+    throw new Error("The dynamic-secrets input cannot be combined with sources");
+  }
+  if (DYNAMIC_SECRETS.length > 0 && SEAL_KEY) {
+    throw new Error("The dynamic-secrets input cannot be combined with seal-key, leases are revoked when this job completes");
+  }
+  if (SNAPSHOT_PATH && (BRANCH_CONFIG || DYNAMIC_SECRETS.length > 0)) {
+    // Both need the Doppler API before or after the fetch, so the snapshot couldn't stand in for it during an outage
+    throw new Error("The snapshot-path input cannot be combined with branch-config or dynamic-secrets");
+  }
+  if (!SOURCE_COLLISION_MODES.includes(ON_SOURCE_COLLISION)) {
+    throw new Error(`Unsupported on-source-collision, expected one of ${SOURCE_COLLISION_MODES.join(", ")}`);
+  }
+  if (!VERSION_MISMATCH_MODES.includes(CONFIG_VERSION_MISMATCH)) {
+    throw new Error(`Unsupported config-version-mismatch, expected one of ${VERSION_MISMATCH_MODES.join(", ")}`);
+  }
+  if (OUTPUT_FILE && !OUTPUT_FORMATS.includes(OUTPUT_FORMAT)) {
+    throw new Error(`Unsupported output-format, expected one of ${OUTPUT_FORMATS.join(", ")}`);
+  }
+
+  if (OPERATION === "compare") {
+    const COMPARE_CONFIGS = parseSources(inputs.getMultilineInput("compare-configs"));
+    const COMPARE_VALUES = inputs.getInput("compare-values") === "true";
+    const STRICTNESS = inputs.getInput("compare-strictness") || "missing";
+    if (!(IS_SA_TOKEN || IS_PERSONAL_TOKEN)) {
+      throw new Error("The compare operation requires a Service Account or Personal token");
+    }
+    if (COMPARE_CONFIGS.length < 2 || COMPARE_CONFIGS.some(({ prefix }) => prefix)) {
+      throw new Error("The compare operation requires at least two compare-configs entries of the form project/config");
+    }
+    if (!STRICTNESS_LEVELS.includes(STRICTNESS)) {
+      throw new Error(`Unsupported compare-strictness, expected one of ${STRICTNESS_LEVELS.join(", ")}`);
+    }
+
+    const results = await Promise.all(COMPARE_CONFIGS.map(async (source) => ({
+      source,
+      secrets: await fetch(DOPPLER_TOKEN, source.project, source.config, API_DOMAIN, REQUEST_OPTIONS),
+    })));
+    // Hashes are compared in memory, values never leave this process
+    const drift = compareConfigs(results, { values: COMPARE_VALUES || STRICTNESS === "values" });
+
+    const list = (keys) => keys.join(", ") || "-";
+    if (io.summary) {
+      await io.summary
+        .addHeading(`Doppler config drift (baseline ${describeSource(COMPARE_CONFIGS[0])})`, 3)
+        .addTable([
+          [{ data: "Config", header: true }, { data: "Missing", header: true }, { data: "Extra", header: true }, { data: "Different values", header: true }],
+          ...drift.map(({ config, missing, extra, different }) => [config, list(missing), list(extra), list(different)]),
+        ])
+        .write();
+    }
+    io.setOutput("compare-report", JSON.stringify(drift));
+
+    const failures = driftFailures(drift, STRICTNESS);
+    if (failures.length > 0) {
+      throw new Error(`Configs differ from ${describeSource(COMPARE_CONFIGS[0])}: ${failures.join("; ")}`);
+    }
+    return {};
+  }
+
+  if (CONFIG_MAP.length > 0) {
+    if (!(IS_SA_TOKEN || IS_PERSONAL_TOKEN)) {
+      throw new Error("The config-map input requires a Service Account or Personal token");
+    }
+    if (SOURCES.length > 0) {
+      throw new Error("The config-map input cannot be combined with sources");
+    }
+
+    const context = {
+      refName: process.env.GITHUB_REF_NAME,
+      baseRef: process.env.GITHUB_BASE_REF,
+      environment: inputs.getInput("github-environment"),
+    };
+    const match = resolveConfig(CONFIG_MAP, context);
+    if (!match) {
+      throw new Error(`No config-map rule matches ref "${context.refName || ""}"${context.environment ? ` or environment "${context.environment}"` : ""}`);
+    }
+    DOPPLER_PROJECT = match.project || DOPPLER_PROJECT;
+    DOPPLER_CONFIG = match.config;
+    io.info(`Using ${DOPPLER_PROJECT}/${DOPPLER_CONFIG} from config-map rule "${match.rule}"`);
+  }
+
+  if (SOURCES.length > 0) {
+    if (!(IS_SA_TOKEN || IS_PERSONAL_TOKEN)) {
+      throw new Error("The sources input requires a Service Account or Personal token");
+    }
+    if (DOPPLER_PROJECT || DOPPLER_CONFIG) {
+      throw new Error("The sources input cannot be combined with doppler-project and doppler-config");
+    }
+  } else {
+    if (IS_PERSONAL_TOKEN && !(DOPPLER_PROJECT && DOPPLER_CONFIG)) {
+      throw new Error("doppler-project and doppler-config inputs are required when using a Personal token. Additionally, we recommend switching to Service Accounts.");
+    }
+    if (IS_SA_TOKEN && !(DOPPLER_PROJECT && DOPPLER_CONFIG)) {
+      throw new Error("doppler-project and doppler-config inputs are required when using a Service Account token");
+    }
+  }
+  if (CONFIG_VERSION && OPERATION === "fetch" && (!(IS_SA_TOKEN || IS_PERSONAL_TOKEN) || SOURCES.length > 0)) {
+    throw new Error("config-version requires a Service Account or Personal token with doppler-project and doppler-config");
+  }
+
+  const secretFiles = [];
+
+  /**
+   * Record a file containing secret values so the post step removes it once the job completes
+   * @param {string} filePath
+   */
+  function trackSecretFile(filePath) {
+    secretFiles.push(filePath);
+    io.saveState("secret-files", JSON.stringify(secretFiles));
+  }
+
+  /**
+   * Mask a secret value and, unless disabled, the encodings it commonly takes in logs
+   * @param {string} value
+   */
+  function maskSecret(value) {
+    io.setSecret(value);
+    if (MASK_DERIVED_VALUES) {
+      derivedForms(value, MASK_MIN_LENGTH).forEach((form) => io.setSecret(form));
+    }
+  }
+
+  if (BRANCH_CONFIG || OPERATION === "delete-branch-config") {
+    if (!(IS_SA_TOKEN || IS_PERSONAL_TOKEN) || SOURCES.length > 0) {
+      throw new Error("branch-config requires a Service Account or Personal token with doppler-project and doppler-config");
+    }
+    if (!BRANCH_CONFIG) {
+      throw new Error("The delete-branch-config operation requires the branch-config input");
+    }
+  }
+
+  if (OPERATION === "delete-branch-config") {
+    const { name, deleted } = await deleteBranchConfig(DOPPLER_TOKEN, DOPPLER_PROJECT, DOPPLER_CONFIG, BRANCH_CONFIG, API_DOMAIN, REQUEST_OPTIONS);
+    io.info(deleted ? `Deleted branch config ${DOPPLER_PROJECT}/${name}` : `Branch config ${DOPPLER_PROJECT}/${name} does not exist`);
+    return {};
+  }
+
+  if (BRANCH_CONFIG) {
+    const overrides = parseDotenv(inputs.getInput("branch-config-secrets"));
+    Object.values(overrides).forEach(maskSecret);
+    const { name, created } = await ensureBranchConfig(DOPPLER_TOKEN, DOPPLER_PROJECT, DOPPLER_CONFIG, BRANCH_CONFIG, overrides, API_DOMAIN, REQUEST_OPTIONS);
+    io.info(`${created ? "Created" : "Using existing"} branch config ${DOPPLER_PROJECT}/${name}`);
+    DOPPLER_CONFIG = name;
+  }
+
+  if (OPERATION === "write") {
+    if (!IS_SA_TOKEN || SOURCES.length > 0) {
+      throw new Error("The write operation requires a Service Account token with doppler-project and doppler-config");
+    }
+
+    const values = parseDotenv(inputs.getInput("write-secrets"));
+    const WRITE_SECRETS_FILE = inputs.getInput("write-secrets-file");
+    if (WRITE_SECRETS_FILE) {
+      Object.assign(values, readValuesFile(WRITE_SECRETS_FILE));
+    }
+    Object.values(values).forEach(maskSecret);
+    if (Object.keys(values).length === 0) {
+      throw new Error("The write operation requires write-secrets or write-secrets-file");
+    }
+
+    const current = await fetch(DOPPLER_TOKEN, DOPPLER_PROJECT, DOPPLER_CONFIG, API_DOMAIN, REQUEST_OPTIONS);
+    const { added, changed, unchanged } = diffValues(current, values);
+    const DRY_RUN = inputs.getInput("dry-run") === "true";
+    io.info(`${DRY_RUN ? "Dry run for" : "Writing to"} ${DOPPLER_PROJECT}/${DOPPLER_CONFIG}`);
+    io.info(`Added: ${added.join(", ") || "none"}`);
+    io.info(`Changed: ${changed.join(", ") || "none"}`);
+    io.info(`Unchanged: ${unchanged.join(", ") || "none"}`);
+
+    const updated = [...added, ...changed];
+    if (!DRY_RUN && updated.length > 0) {
+      const updates = Object.fromEntries(updated.map((key) => [key, values[key]]));
+      await updateSecrets(DOPPLER_TOKEN, DOPPLER_PROJECT, DOPPLER_CONFIG, updates, API_DOMAIN, REQUEST_OPTIONS);
+    }
+    io.setOutput("changed-secrets", JSON.stringify(updated));
+    return {};
+  }
+
+  // Recorded in the snapshot so a snapshot shared by several configs isn't used for the wrong one. Service tokens are
+  // scoped to a single config, which the token identifies without revealing it.
+  const SNAPSHOT_SCOPE = SOURCES.length > 0
+    ? SOURCES.map(describeSource).join(", ")
+    : (DOPPLER_PROJECT
+      ? `${DOPPLER_PROJECT}/${DOPPLER_CONFIG}`
+      : `service token ${crypto.createHash("sha256").update(DOPPLER_TOKEN).digest("hex").slice(0, 12)}`);
+  let secrets;
+  let fetchedConfigs;
+  // "api", "snapshot" when falling back to the snapshot, or "sealed" for the unseal operation
+  let secretsSource = "api";
+  let secretsCreatedAt;
+  let configVersion = "";
+  // Why the secrets aren't at the pinned config-version
+  let versionMismatch = null;
+  if (OPERATION === "unseal") {
+    const handoff = unsealSecrets(SEALED_SECRETS || fs.readFileSync(SEAL_FILE, "utf8"), SEAL_KEY);
+    io.info(`Unsealed secrets sealed at ${handoff.createdAt}`);
+    secrets = handoff.secrets;
+    fetchedConfigs = handoff.configs;
+    secretsSource = "sealed";
+    secretsCreatedAt = handoff.createdAt;
+  } else {
+    try {
+      if (authError) {
+        throw authError;
+      }
+      if (SOURCES.length > 0) {
+        const results = await Promise.all(SOURCES.map(async (source) => ({
+          source,
+          secrets: await fetch(DOPPLER_TOKEN, source.project, source.config, API_DOMAIN, REQUEST_OPTIONS),
+        })));
+        const merged = mergeSources(results);
+
+        if (merged.collisions.length > 0) {
+          const details = merged.collisions.map(({ key, sources }) => `${key} (${sources.join(", ")})`).join("; ");
+          const message = `Secret names collide across sources, later sources take precedence: ${details}`;
+          if (ON_SOURCE_COLLISION === "fail") {
+            throw new Error(message);
+          }
+          io.warning(message);
+        }
+
+        io.info(`Fetched secrets from ${SOURCES.map(describeSource).join(", ")}`);
+        secrets = merged.secrets;
+        fetchedConfigs = results.map((result) => describeFetchedConfig(result.secrets));
+      } else if (CONFIG_VERSION) {
+        ({ secrets, version: configVersion } = await fetchVersioned(DOPPLER_TOKEN, DOPPLER_PROJECT, DOPPLER_CONFIG, API_DOMAIN, REQUEST_OPTIONS));
+        if (CONFIG_VERSION !== "latest" && CONFIG_VERSION !== configVersion) {
+          const rebuilt = await rebuildVersion(DOPPLER_TOKEN, DOPPLER_PROJECT, DOPPLER_CONFIG, secrets, configVersion, CONFIG_VERSION, API_DOMAIN, REQUEST_OPTIONS);
+          versionMismatch = rebuilt.mismatch;
+          if (!versionMismatch) {
+            io.info(`Rebuilt the secrets of ${DOPPLER_PROJECT}/${DOPPLER_CONFIG} at version ${CONFIG_VERSION} from version ${configVersion}`);
+            secrets = rebuilt.secrets;
+            configVersion = CONFIG_VERSION;
+          }
+        }
+        fetchedConfigs = [describeFetchedConfig(secrets)];
+      } else {
+        secrets = await fetch(DOPPLER_TOKEN, DOPPLER_PROJECT, DOPPLER_CONFIG, API_DOMAIN, REQUEST_OPTIONS);
+        fetchedConfigs = [describeFetchedConfig(secrets)];
+      }
+    } catch (error) {
+      // Only outages fall back, a rejected token or a missing config must fail
+      if (!SNAPSHOT_PATH || !isUnavailable(error)) {
+        throw error;
+      }
+      let snapshot;
+      try {
+        snapshot = readSnapshot(SNAPSHOT_PATH, SNAPSHOT_KEY, { scope: SNAPSHOT_SCOPE, maxAge: SNAPSHOT_MAX_AGE });
+      } catch (snapshotError) {
+        throw new Error(`${error.message}. The snapshot fallback is not available: ${snapshotError.message}`);
+      }
+      io.warning(`The Doppler API is unavailable (${error.message}), using the snapshot taken at ${snapshot.createdAt}`);
+      secrets = snapshot.secrets;
+      fetchedConfigs = snapshot.configs;
+      secretsSource = "snapshot";
+      secretsCreatedAt = snapshot.createdAt;
+      configVersion = snapshot.configVersion ?? "";
+    }
+  }
+  io.setOutput("source", secretsSource);
+
+  if (SOURCES.length === 0) {
+    // Service tokens are scoped to a single config, which Doppler reports through the meta keys
+    io.setOutput("resolved-project", DOPPLER_PROJECT || secrets.DOPPLER_PROJECT?.computed || "");
+    io.setOutput("resolved-config", DOPPLER_CONFIG || secrets.DOPPLER_CONFIG?.computed || "");
+  }
+
+  if (CONFIG_VERSION && secretsSource !== "sealed") {
+    io.setOutput("config-version", configVersion);
+    if (CONFIG_VERSION !== "latest" && secretsSource === "snapshot" && configVersion !== CONFIG_VERSION) {
+      // The API is unavailable, so a snapshot of another version can't be rebuilt at the pinned one
+      versionMismatch = `The snapshot holds version ${configVersion || "(unknown)"} instead of the pinned version ${CONFIG_VERSION}`;
+    }
+    if (versionMismatch && CONFIG_VERSION_MISMATCH === "fail") {
+      throw new Error(versionMismatch);
+    } else if (versionMismatch) {
+      io.warning(versionMismatch);
+    }
+  }
+
+  if (SNAPSHOT_PATH && secretsSource === "api") {
+    writeSnapshot(SNAPSHOT_PATH, SNAPSHOT_KEY, {
+      scope: SNAPSHOT_SCOPE,
+      createdAt: new Date().toISOString(),
+      secrets,
+      configs: fetchedConfigs,
+      configVersion,
+    });
+  }
+
+  if (DYNAMIC_SECRETS.length > 0) {
+    // Leases are issued in the config the secrets came from, the same one the resolved outputs name
+    const project = DOPPLER_PROJECT || secrets.DOPPLER_PROJECT?.computed;
+    const config = DOPPLER_CONFIG || secrets.DOPPLER_CONFIG?.computed;
+    const leases = [];
+    io.saveState("api-domain", API_DOMAIN);
+    const credentials = await issueLeases(DOPPLER_TOKEN, project, config, DYNAMIC_SECRETS, DYNAMIC_SECRETS_TTL, API_DOMAIN, REQUEST_OPTIONS, (record, lease) => {
+      leases.push(record);
+      // The post step revokes every lease once the job completes
+      io.saveState("dynamic-secret-leases", JSON.stringify(leases));
+      Object.values(lease.value).forEach((value) => maskSecret(String(value)));
+      io.info(`Issued a lease of ${record.dynamicSecret}${lease.expiresAt ? `, expiring at ${lease.expiresAt}` : ""}`);
+    });
+
+    const collisions = Object.keys(credentials).filter((key) => key in secrets);
+    if (collisions.length > 0) {
+      throw new Error(`Dynamic secret credentials collide with secrets of the config: ${collisions.join(", ")}`);
+    }
+    secrets = { ...secrets, ...credentials };
+  }
+
+  const filtered = filterSecrets(secrets, INCLUDE, EXCLUDE);
+  if (filtered.missing.length > 0) {
+    throw new Error(`Secrets listed in include were not found: ${filtered.missing.join(", ")}`);
+  }
+  secrets = filtered.secrets;
+
+  const unavailable = findUnavailable(secrets);
+  io.setOutput("unavailable-secrets", JSON.stringify(unavailable));
+  if (unavailable.length > 0) {
+    const message = `Secrets without a value (restricted or null): ${unavailable.join(", ")}`;
+    if (UNAVAILABLE_POLICY === "fail") {
+      throw new Error(message);
+    } else if (UNAVAILABLE_POLICY === "warn") {
+      io.warning(message);
+    } else if (UNAVAILABLE_POLICY === "skip") {
+      secrets = Object.fromEntries(Object.entries(secrets).filter(([key]) => !unavailable.includes(key)));
+    }
+  }
+
+  const problems = validateSecrets(secrets, REQUIRED);
+  if (problems.length > 0) {
+    const details = problems.map(({ key, problem }) => `${key} (${problem})`).join(", ");
+    throw new Error(`Secret validation failed: ${details}`);
+  }
+
+  if (SEAL_KEY && OPERATION === "fetch") {
+    // Sealed with their Doppler names, the unsealing job filters and renames them with its own inputs.
+    // Ciphertext, left unmasked so it can be passed on through job outputs.
+    const sealed = sealSecrets(secrets, fetchedConfigs, SEAL_KEY);
+    io.setOutput("sealed-secrets", sealed);
+    if (SEAL_FILE) {
+      trackSecretFile(writeSecretFile(SEAL_FILE, sealed));
+    }
+  }
+
+  const transformed = transformSecrets(secrets, KEY_TRANSFORM);
+  if (transformed.collisions.length > 0) {
+    const details = transformed.collisions.map(({ key, sources }) => `${sources.join(", ")} -> ${key}`).join("; ");
+    throw new Error(`Secret names collide after renaming: ${details}`);
+  }
+  secrets = transformed.secrets;
+
+  const jsonLeaves = flattenJsonSecrets(secrets, (key) => matchesAny(JSON_SECRETS, key));
+
+  // Expressions read outputs regardless of case
+  const reserved = [...Object.keys(secrets), ...Object.keys(jsonLeaves)].filter((key) => RESERVED_OUTPUTS.includes(key.toLowerCase()));
+  if (reserved.length > 0) {
+    throw new Error(`Secret names collide with outputs of the action, rename them with key-prefix or rename: ${reserved.join(", ")}`);
+  }
+
+  const envNames = [
+    ...(INJECT_ENV_VARS ? Object.keys(secrets) : []),
+    ...(JSON_SECRETS_INJECT_ENV_VARS ? Object.keys(jsonLeaves) : []),
+  ];
+  let envExports = [];
+  if (envNames.length > 0) {
+    const plan = planEnvExports(envNames, { allow: ENV_ALLOW, deny: ENV_DENY, onConflict: ON_CONFLICT });
+    if (plan.findings.length > 0) {
+      io.warning(`Some secrets were not exported as environment variables or replaced existing ones, see the job summary: ${plan.findings.map(({ name }) => name).join(", ")}`);
+      if (io.summary) {
+        await io.summary
+          .addHeading("Environment variable conflicts", 3)
+          .addTable([
+            [{ data: "Name", header: true }, { data: "Reason", header: true }, { data: "Action", header: true }],
+            ...plan.findings.map(({ name, reason, action }) => [name, reason, action]),
+          ])
+          .write();
+      }
+    }
+    if (plan.failures.length > 0) {
+      throw new Error(`Environment variables already set: ${plan.failures.join(", ")}`);
+    }
+    envExports = plan.exports;
+  }
+
+  if (OUTPUT_FILE) {
+    const values = Object.fromEntries(Object.entries(secrets).map(([key, secret]) => [key, secret.computed || ""]));
+    const filePath = writeSecretFile(OUTPUT_FILE, serialize(values, OUTPUT_FORMAT));
+    trackSecretFile(filePath);
+    io.setOutput("output-file", filePath);
+  }
+
+  if (SECRETS_DIR) {
+    const values = Object.fromEntries(Object.entries(secrets).map(([key, secret]) => [key, secret.computed || ""]));
+    const files = writeSecretsDir(SECRETS_DIR, values, (key) => matchesAny(SECRETS_DIR_BASE64, key));
+    Object.values(files).forEach(trackSecretFile);
+    io.setOutput("secrets-dir-files", JSON.stringify(files));
+  }
+
+  if (TEMPLATE) {
+    const values = Object.fromEntries(Object.entries(secrets).map(([key, secret]) => [key, secret.computed || ""]));
+    const filePath = writeSecretFile(TEMPLATE_OUTPUT, render(fs.readFileSync(TEMPLATE, "utf8"), values));
+    trackSecretFile(filePath);
+    io.setOutput("template-output", filePath);
+  }
+
+  const exported = { ...secrets, ...jsonLeaves };
+
+  // Leaves are masked on their own, a single field printed alone wouldn't match the mask of the whole JSON value.
+  // Numbers, booleans and null shorter than mask-min-length, such as `true` or `1` in feature flags, would mask unrelated
+  // log output instead. Short strings are masked as usual, they may be real secrets such as a PIN.
+  for (const [key, secret] of Object.entries(exported)) {
+    const value = secret.computed || "";
+    const isShortLiteral = secret.literal && value.length < MASK_MIN_LENGTH;
+
+    io.setOutput(key, value);
+    if (!DOPPLER_META.includes(key) && secret.computedVisibility !== "unmasked" && !isShortLiteral) {
+      maskSecret(value);
+    }
+
+    if (envExports.includes(key)) {
+      io.exportVariable(key, value);
+    }
+  }
+
+  const secretsJson = JSON.stringify(Object.fromEntries(Object.entries(exported).map(([key, secret]) => [key, secret.computed || ""])));
+  io.setSecret(secretsJson);
+  io.setOutput("secrets-json", secretsJson);
+  io.setOutput("secret-names", JSON.stringify(Object.keys(exported)));
+  io.setOutput("secret-count", Object.keys(exported).length);
+
+  if (io.summary) {
+    await addFetchSummary(io.summary, {
+      authMethod: AUTH_METHOD,
+      configs: fetchedConfigs,
+      source: secretsSource,
+      createdAt: secretsCreatedAt,
+      secrets: Object.entries(exported).map(([name, secret]) => ({
+        name,
+        visibility: secret.computedVisibility || "",
+        env: envExports.includes(name),
+      })),
+      stats: REQUEST_STATS,
+    }).write();
+  }
+
+  return Object.fromEntries(Object.entries(exported).map(([key, secret]) => [key, secret.computed || ""]));
+}
+
+/**
+ * Log the claims of a rejected OIDC token and how to check them against the identity, in the job summary too
+ * @param {string} oidcToken
+ * @param {RunIO} io
+ */
+async function reportOidcClaims(oidcToken, io) {
+  let rows;
+  try {
+    rows = diagnosticClaims(decodeClaims(oidcToken));
+  } catch (error) {
+    io.warning(`Unable to show the claims of the OIDC token: ${error.message}`);
+    return;
+  }
+
+  io.info(`${TRUST_RULE_GUIDANCE}\n${rows.map(([name, value]) => `  ${name}: ${value}`).join("\n")}`);
+  if (io.summary) {
+    await io.summary
+      .addHeading("Doppler OIDC token claims", 3)
+      .addTable([
+        [{ data: "Claim", header: true }, { data: "Value", header: true }],
+        ...rows,
+      ])
+      .addRaw(TRUST_RULE_GUIDANCE, true)
+      .write();
+  }
+}
@@ -0,0 +1,357 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import https from "https";
+import os from "os";
+import path from "path";
+import { fakeJwt, mockDoppler } from "./mock-doppler.js";
+import { run } from "./run.js";
+
+/**
+ * Record everything `run()` reports, without a job summary
+ */
+function recordingIO() {
+  const io = { logs: [], secrets: [], outputs: {}, env: {}, state: {} };
+  io.info = (message) => io.logs.push(message);
+  io.warning = (message) => io.logs.push(`warning: ${message}`);
+  io.setSecret = (value) => io.secrets.push(value);
+  io.setOutput = (name, value) => {
+    io.outputs[name] = value;
+  };
+  io.exportVariable = (name, value) => {
+    io.env[name] = value;
+  };
+  io.saveState = (name, value) => {
+    io.state[name] = value;
+  };
+  return io;
+}
+
+describe("run()", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const token = { "doppler-token": "dp.sa.token", "doppler-project": "api", "doppler-config": "prd" };
+
+  it("should fetch secrets and report them through io", async () => {
+    mockDoppler({ api: { prd: { API_KEY: "secret-value", LOG_LEVEL: "info" } } });
+    const io = recordingIO();
+
+    const values = await run({ ...token, "include": "API_KEY", "inject-env-vars": "true" }, io);
+
+    assert.deepStrictEqual(values, { API_KEY: "secret-value" });
+    assert.strictEqual(io.outputs.API_KEY, "secret-value");
+    assert.strictEqual(io.outputs["secret-count"], 1);
+    assert.deepStrictEqual(io.env, { API_KEY: "secret-value" });
+    assert.ok(io.secrets.includes("dp.sa.token"));
+    assert.ok(io.secrets.includes("secret-value"));
+  });
+
+  it("should not mask short JSON numbers, booleans and null", async () => {
+    const flags = JSON.stringify({ beta: true, limit: 1, owner: null, pin: "4821", account: 123456789012, endpoint: "https://flags.example.com" });
+    mockDoppler({ api: { prd: { FLAGS: flags } } });
+    const io = recordingIO();
+
+    const values = await run({ ...token, "json-secrets": "FLAGS" }, io);
+
+    assert.strictEqual(values.FLAGS__beta, "true");
+    assert.strictEqual(values.FLAGS__limit, "1");
+    for (const value of ["true", "1", ""]) {
+      assert.ok(!io.secrets.includes(value), `${value} should not be masked`);
+    }
+    for (const value of [flags, "4821", "123456789012", "https://flags.example.com"]) {
+      assert.ok(io.secrets.includes(value), `${value} should be masked`);
+    }
+  });
+
+  it("should fail when a secret would overwrite an output of the action", async () => {
+    mockDoppler({ api: { prd: { SOURCE: "github", SECRET_COUNT: "3", API_KEY: "secret-value" } } });
+    const io = recordingIO();
+
+    await assert.rejects(run({ ...token, "key-case": "lower", "rename": "SECRET_COUNT=secret-count" }, io), {
+      message: "Secret names collide with outputs of the action, rename them with key-prefix or rename: source, secret-count",
+    });
+    assert.strictEqual(io.outputs.api_key, undefined);
+  });
+
+  it("should throw on invalid options instead of exiting", async () => {
+    await assert.rejects(run({ operation: "rotate" }, recordingIO()), { message: /Unsupported operation/ });
+    await assert.rejects(run({}, recordingIO()), { message: "Input required and not supplied: doppler-token" });
+    await assert.rejects(run({ ...token, "on-source-collision": "ignore" }, recordingIO()), {
+      message: "Unsupported on-source-collision, expected one of warn, fail",
+    });
+  });
+
+  it("should require a token provider for OIDC", async () => {
+    const options = { "auth-method": "oidc", "doppler-identity-id": "identity" };
+    await assert.rejects(run(options, recordingIO()), { message: /auth-method oidc is not supported here/ });
+  });
+
+  it("should return no values for other operations", async () => {
+    const { projects } = mockDoppler({ api: { prd: {} } });
+    const io = recordingIO();
+
+    const values = await run({ ...token, "operation": "write", "write-secrets": "API_KEY=new" }, io);
+
+    assert.deepStrictEqual(values, {});
+    assert.deepStrictEqual(projects.api.prd, { API_KEY: "new" });
+    assert.strictEqual(io.outputs["changed-secrets"], JSON.stringify(["API_KEY"]));
+  });
+
+  describe("snapshot fallback", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "doppler-run-"));
+    const snapshot = { "snapshot-path": path.join(dir, "snapshot"), "snapshot-key": "passphrase" };
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const outage = () => {
+      const refused = () => {
+        const request = {
+          on: (event, handler) => {
+            if (event === "error") {
+              handler(Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" }));
+            }
+            return request;
+          },
+          write: () => {},
+          end: () => {},
+        };
+        return request;
+      };
+      mock.method(https, "get", refused);
+      mock.method(https, "request", refused);
+    };
+
+    it("should use the last snapshot when the API is unavailable", async () => {
+      mockDoppler({ api: { prd: { API_KEY: "secret-value" } } });
+      const live = recordingIO();
+      await run({ ...token, ...snapshot }, live);
+      assert.strictEqual(live.outputs.source, "api");
+      assert.ok(live.secrets.includes("passphrase"));
+
+      mock.restoreAll();
+      outage();
+      const io = recordingIO();
+      const values = await run({ ...token, ...snapshot }, io);
+
+      assert.deepStrictEqual(values, { API_KEY: "secret-value" });
+      assert.strictEqual(io.outputs.source, "snapshot");
+      assert.ok(io.logs.some((message) => /^warning: The Doppler API is unavailable/.test(message)));
+    });
+
+    it("should fail when there is no usable snapshot", async () => {
+      outage();
+      await assert.rejects(run({ ...token, ...snapshot }, recordingIO()), {
+        message: /ECONNREFUSED.*The snapshot fallback is not available: No snapshot found/,
+      });
+    });
+
+    it("should not use a snapshot taken with another service token", async () => {
+      mockDoppler({ api: { prd: { API_KEY: "prd-value" }, stg: { API_KEY: "stg-value" } } }, { serviceTokens: { "dp.st.prd": "api/prd", "dp.st.stg": "api/stg" } });
+      await run({ "doppler-token": "dp.st.prd", ...snapshot }, recordingIO());
+
+      mock.restoreAll();
+      outage();
+      await assert.rejects(run({ "doppler-token": "dp.st.stg", ...snapshot }, recordingIO()), {
+        message: /The snapshot fallback is not available: The snapshot at .* was taken for service token \w+, not service token \w+/,
+      });
+      assert.deepStrictEqual(await run({ "doppler-token": "dp.st.prd", ...snapshot }, recordingIO()), { API_KEY: "prd-value" });
+    });
+
+    it("should fall back when the OIDC token exchange fails", async () => {
+      mockDoppler({ api: { prd: { API_KEY: "secret-value" } } }, { identities: { identity: "repo:acme/api:ref:refs/heads/main" } });
+      const oidc = { "auth-method": "oidc", "doppler-identity-id": "identity", "doppler-project": "api", "doppler-config": "prd", ...snapshot };
+      const live = recordingIO();
+      live.getIDToken = async () => fakeJwt({ sub: "repo:acme/api:ref:refs/heads/main" });
+      await run(oidc, live);
+
+      mock.restoreAll();
+      outage();
+      const io = recordingIO();
+      io.getIDToken = live.getIDToken;
+      const values = await run(oidc, io);
+
+      assert.deepStrictEqual(values, { API_KEY: "secret-value" });
+      assert.strictEqual(io.outputs.source, "snapshot");
+      assert.strictEqual(io.state["oidc-token"], undefined);
+    });
+
+    it("should not fall back when the request is rejected", async () => {
+      mockDoppler({ api: { prd: { API_KEY: "secret-value" } } });
+      await run({ ...token, ...snapshot }, recordingIO());
+
+      await assert.rejects(run({ ...token, ...snapshot, "doppler-config": "stg" }, recordingIO()), { message: /Could not find requested config/ });
+    });
+
+    it("should reject branch configs, which can't be created during an outage", async () => {
+      await assert.rejects(run({ ...token, ...snapshot, "branch-config": "pr-42" }, recordingIO()), {
+        message: "The snapshot-path input cannot be combined with branch-config or dynamic-secrets",
+      });
+    });
+
+    it("should reject dynamic secrets, which can't be issued during an outage", async () => {
+      await assert.rejects(run({ ...token, ...snapshot, "dynamic-secrets": "postgres" }, recordingIO()), {
+        message: "The snapshot-path input cannot be combined with branch-config or dynamic-secrets",
+      });
+    });
+
+    it("should require a key with the path", async () => {
+      await assert.rejects(run({ ...token, "snapshot-path": snapshot["snapshot-path"] }, recordingIO()), {
+        message: "The snapshot-path and snapshot-key inputs must be provided together",
+      });
+    });
+  });
+
+  describe("sealed hand-off", () => {
+    it("should unseal secrets sealed by an earlier job without calling Doppler", async () => {
+      mockDoppler({ api: { prd: { API_KEY: "secret-value", LOG_LEVEL: "info" } } });
+      const sealer = recordingIO();
+      await run({ ...token, "include": "API_KEY", "key-prefix": "APP_", "seal-key": "passphrase" }, sealer);
+      const sealed = sealer.outputs["sealed-secrets"];
+      assert.ok(!sealed.includes("secret-value"));
+      mock.restoreAll();
+
+      const get = mock.method(https, "get");
+      const io = recordingIO();
+      const values = await run({ "operation": "unseal", "sealed-secrets": sealed, "seal-key": "passphrase", "key-prefix": "APP_", "inject-env-vars": "true" }, io);
+
+      assert.deepStrictEqual(values, { APP_API_KEY: "secret-value" });
+      assert.deepStrictEqual(io.env, { APP_API_KEY: "secret-value" });
+      assert.ok(io.secrets.includes("secret-value"));
+      assert.strictEqual(io.outputs.source, "sealed");
+      assert.strictEqual(get.mock.callCount(), 0);
+    });
+
+    it("should apply the same filters and renaming once on both sides", async () => {
+      mockDoppler({ api: { prd: { API_KEY: "secret-value", LOG_LEVEL: "info" } } });
+      const transform = { "include": "API_*", "key-prefix": "APP_", "key-case": "lower" };
+      const sealer = recordingIO();
+      const fetched = await run({ ...token, ...transform, "seal-key": "passphrase" }, sealer);
+      mock.restoreAll();
+
+      const unsealed = await run({ "operation": "unseal", "sealed-secrets": sealer.outputs["sealed-secrets"], "seal-key": "passphrase", ...transform }, recordingIO());
+
+      assert.deepStrictEqual(fetched, { APP_api_key: "secret-value" });
+      assert.deepStrictEqual(unsealed, fetched);
+    });
+
+    it("should fail with the wrong key", async () => {
+      mockDoppler({ api: { prd: { API_KEY: "secret-value" } } });
+      const sealer = recordingIO();
+      await run({ ...token, "seal-key": "passphrase" }, sealer);
+
+      await assert.rejects(run({ "operation": "unseal", "sealed-secrets": sealer.outputs["sealed-secrets"], "seal-key": "other" }, recordingIO()), {
+        message: /Unable to decrypt/,
+      });
+      await assert.rejects(run({ operation: "unseal" }, recordingIO()), { message: /requires seal-key and either sealed-secrets or seal-file/ });
+    });
+  });
+
+  describe("config version", () => {
+    it("should record the version of the fetched secrets", async () => {
+      mockDoppler({ api: { prd: { API_KEY: "secret-value" } } });
+      const io = recordingIO();
+      await run({ ...token, "config-version": "latest" }, io);
+      assert.strictEqual(io.outputs["config-version"], "prd-1");
+    });
+
+    it("should fetch the secrets as of the pinned version", async () => {
+      mockDoppler({ api: { prd: { API_KEY: "secret-value" } } });
+      await run({ ...token, "operation": "write", "write-secrets": "API_KEY=new\nLOG_LEVEL=debug" }, recordingIO());
+
+      const io = recordingIO();
+      const values = await run({ ...token, "config-version": "prd-1", "config-version-mismatch": "fail" }, io);
+
+      assert.deepStrictEqual(values, { API_KEY: "secret-value" });
+      assert.strictEqual(io.outputs["config-version"], "prd-1");
+      assert.ok(io.logs.includes("Rebuilt the secrets of api/prd at version prd-1 from version prd-2"));
+    });
+
+    it("should warn or fail when the pinned version can't be fetched", async () => {
+      mockDoppler({ api: { prd: { API_KEY: "secret-value" } } });
+
+      const io = recordingIO();
+      const values = await run({ ...token, "config-version": "unknown" }, io);
+      assert.deepStrictEqual(values, { API_KEY: "secret-value" });
+      assert.strictEqual(io.outputs["config-version"], "prd-1");
+      assert.ok(io.logs.includes("warning: Config api/prd has no version unknown, fetched version prd-1"));
+
+      await assert.rejects(run({ ...token, "config-version": "unknown", "config-version-mismatch": "fail" }, recordingIO()), {
+        message: "Config api/prd has no version unknown, fetched version prd-1",
+      });
+    });
+
+    it("should require a token with a project and config", async () => {
+      await assert.rejects(run({ "doppler-token": "dp.st.token", "config-version": "latest" }, recordingIO()), {
+        message: /config-version requires a Service Account or Personal token/,
+      });
+    });
+  });
+
+  describe("dynamic secrets", () => {
+    it("should expose lease credentials and record the leases for the post step", async () => {
+      mockDoppler({ api: { prd: { API_KEY: "secret-value" } } }, { dynamicSecrets: ["DB"] });
+      const io = recordingIO();
+
+      const values = await run({ ...token, "dynamic-secrets": "DB", "dynamic-secrets-ttl": "600", "inject-env-vars": "true" }, io);
+
+      assert.deepStrictEqual(values, { API_KEY: "secret-value", DB__USERNAME: "user-lease-1", DB__PASSWORD: "password-lease-1" });
+      assert.strictEqual(io.env.DB__PASSWORD, "password-lease-1");
+      assert.ok(io.secrets.includes("password-lease-1"));
+      assert.deepStrictEqual(JSON.parse(io.state["dynamic-secret-leases"]), [{ project: "api", config: "prd", dynamicSecret: "DB", id: "lease-1" }]);
+      assert.strictEqual(io.state["api-domain"], "api.doppler.com");
+    });
+
+    it("should reject credentials colliding with secrets", async () => {
+      mockDoppler({ api: { prd: { DB__USERNAME: "admin" } } }, { dynamicSecrets: ["DB"] });
+      const io = recordingIO();
+
+      await assert.rejects(run({ ...token, "dynamic-secrets": "DB" }, io), { message: /collide with secrets of the config: DB__USERNAME/ });
+      // Still revoked by the post step
+      assert.ok(io.state["dynamic-secret-leases"]);
+    });
+
+    it("should not be combined with seal-key", async () => {
+      await assert.rejects(run({ ...token, "dynamic-secrets": "DB", "seal-key": "passphrase" }, recordingIO()), {
+        message: /cannot be combined with seal-key/,
+      });
+    });
+  });
+
+  describe("OIDC", () => {
+    const claims = { sub: "repo:acme/api:ref:refs/heads/main", aud: "doppler", ref: "refs/heads/main", repository: "acme/api" };
+    const options = { "auth-method": "oidc", "doppler-identity-id": "identity", "doppler-project": "api", "doppler-config": "prd" };
+
+    it("should request the token for the configured audience", async () => {
+      mockDoppler({ api: { prd: { API_KEY: "secret-value" } } }, { identities: { identity: claims.sub } });
+      const io = recordingIO();
+      const audiences = [];
+      io.getIDToken = async (audience) => {
+        audiences.push(audience);
+        return fakeJwt(claims);
+      };
+
+      const values = await run({ ...options, "oidc-audience": "doppler" }, io);
+      assert.deepStrictEqual(audiences, ["doppler"]);
+      assert.deepStrictEqual(values, { API_KEY: "secret-value" });
+      assert.strictEqual(io.state["oidc-token"], "dp.said.identity");
+    });
+
+    it("should show the claims of a rejected token", async () => {
+      mockDoppler({ api: { prd: {} } }, { identities: { identity: "repo:acme/api:environment:production" } });
+      const io = recordingIO();
+      const token = fakeJwt(claims);
+      io.getIDToken = async () => token;
+
+      await assert.rejects(run(options, io), { message: /The identity does not trust this token/ });
+      const report = io.logs.join("\n");
+      assert.match(report, /Doppler rejected the OIDC token/);
+      assert.match(report, /sub: repo:acme\/api:ref:refs\/heads\/main/);
+      assert.match(report, /environment: \(not set\)/);
+      assert.ok(!report.includes(token));
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import fs from "fs";
+import { seal, unseal } from "./envelope.js";
+import { writeSecretFile } from "./formats.js";
+
+const PURPOSE = "snapshot";
+
+/**
+ * Last known good secrets, used when the Doppler API is unavailable
+ * @typedef {Object} Snapshot
+ * @property {string} scope - What was fetched, e.g. `project/config`, so a snapshot isn't used for another config
+ * @property {string} createdAt - ISO 8601 date
+ * @property {Record<string, Record>} secrets - As returned by `fetch()`, before filtering and renaming
+ * @property {Array<{ project: string, config: string, environment: string }>} configs - Each config fetched
+ * @property {string} [configVersion] - Log ID of the config when `config-version` is used
+ */
+
+/**
+ * Encrypt a snapshot to a file only readable by the current user
+ * @param {string} filePath
+ * @param {string} key
+ * @param {Snapshot} snapshot
+ * @returns {string} The absolute path written
+ */
+export function writeSnapshot(filePath, key, snapshot) {
+  return writeSecretFile(filePath, seal(JSON.stringify(snapshot), key, PURPOSE));
+}
+
+/**
+ * Decrypt a snapshot, checking it was taken for the same scope and isn't too old
+ * @param {string} filePath
+ * @param {string} key
+ * @param {{ scope: string, maxAge: number, now?: number }} expected - `maxAge` in ms
+ * @returns {Snapshot & { age: number }} `age` in ms
+ */
+export function readSnapshot(filePath, key, { scope, maxAge, now = Date.now() }) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No snapshot found at ${filePath}`);
+  }
+  const snapshot = JSON.parse(unseal(fs.readFileSync(filePath, "utf8"), key, PURPOSE));
+
+  if (snapshot.scope !== scope) {
+    throw new Error(`The snapshot at ${filePath} was taken for ${snapshot.scope}, not ${scope}`);
+  }
+  const age = now - Date.parse(snapshot.createdAt);
+  if (!(age <= maxAge)) {
+    throw new Error(`The snapshot at ${filePath} was taken at ${snapshot.createdAt}, longer ago than the maximum age of ${maxAge / 1000}s`);
+  }
+  return { ...snapshot, age };
+}
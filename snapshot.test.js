@@ -0,0 +1,48 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { readSnapshot, writeSnapshot } from "./snapshot.js";
+
+describe("Snapshot", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "doppler-snapshot-"));
+  const filePath = path.join(dir, "cache", "snapshot");
+  const snapshot = {
+    scope: "api/prd",
+    createdAt: "2024-05-01T12:00:00.000Z",
+    secrets: { API_KEY: { computed: "secret-value", computedVisibility: "masked" } },
+    configs: [{ project: "api", config: "prd", environment: "prd" }],
+  };
+  const now = Date.parse("2024-05-01T13:00:00.000Z");
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should write an encrypted snapshot and read it back", () => {
+    const written = writeSnapshot(filePath, "passphrase", snapshot);
+    assert.strictEqual(written, filePath);
+    assert.ok(!fs.readFileSync(filePath, "utf8").includes("secret-value"));
+    assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+
+    const read = readSnapshot(filePath, "passphrase", { scope: "api/prd", maxAge: 2 * 3600 * 1000, now });
+    assert.deepStrictEqual(read, { ...snapshot, age: 3600 * 1000 });
+  });
+
+  it("should reject snapshots for another scope or too old", () => {
+    writeSnapshot(filePath, "passphrase", snapshot);
+    assert.throws(() => readSnapshot(filePath, "passphrase", { scope: "api/stg", maxAge: Infinity, now }), {
+      message: /was taken for api\/prd, not api\/stg/,
+    });
+    assert.throws(() => readSnapshot(filePath, "passphrase", { scope: "api/prd", maxAge: 60 * 1000, now }), {
+      message: /longer ago than the maximum age of 60s/,
+    });
+  });
+
+  it("should report a missing snapshot", () => {
+    assert.throws(() => readSnapshot(filePath, "passphrase", { scope: "api/prd", maxAge: Infinity, now }), {
+      message: /No snapshot found at/,
+    });
+  });
+});
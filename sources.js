@@ -0,0 +1,69 @@
+import { DOPPLER_META } from "./doppler.js";
+
+export const SOURCE_COLLISION_MODES = ["warn", "fail"];
+
+/**
+ * @typedef {Object} Source
+ * @property {string} project
+ * @property {string} config
+ * @property {string} prefix - Prepended to every non-meta key fetched from this source
+ */
+
+/**
+ * Parse `project/config[:prefix]` entries, one per line. Blank lines and lines starting with `#` are ignored.
+ * @param {string[]} lines
+ * @returns {Source[]}
+ */
+export function parseSources(lines) {
+  const sources = [];
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+
+    const match = line.match(/^([^/:\s]+)\/([^/:\s]+)(?::(\S*))?$/);
+    if (!match) {
+      throw new Error(`Invalid source "${line}", expected "project/config[:prefix]"`);
+    }
+    const [, project, config, prefix = ""] = match;
+    sources.push({ project, config, prefix });
+  }
+  return sources;
+}
+
+/**
+ * Format a source for log and error messages
+ * @param {Source} source
+ * @returns {string}
+ */
+export function describeSource(source) {
+  return `${source.project}/${source.config}`;
+}
+
+/**
+ * Merge the secrets fetched for each source. Sources listed later take precedence over earlier ones.
+ * Doppler meta keys are never prefixed and never reported as collisions; the last source's values win.
+ * @param {Array<{ source: Source, secrets: Record<string, Record> }>} results - In source order
+ * @returns {{ secrets: Record<string, Record>, collisions: Array<{ key: string, sources: string[] }> }}
+ */
+export function mergeSources(results) {
+  const secrets = {};
+  const origins = {};
+
+  for (const { source, secrets: sourceSecrets } of results) {
+    for (const [name, secret] of Object.entries(sourceSecrets)) {
+      const key = DOPPLER_META.includes(name) ? name : `${source.prefix}${name}`;
+      secrets[key] = secret;
+      if (!DOPPLER_META.includes(key)) {
+        (origins[key] ||= []).push(describeSource(source));
+      }
+    }
+  }
+
+  const collisions = Object.entries(origins)
+    .filter(([, sources]) => sources.length > 1)
+    .map(([key, sources]) => ({ key, sources }));
+
+  return { secrets, collisions };
+}
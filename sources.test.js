@@ -0,0 +1,49 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { mergeSources, parseSources } from "./sources.js";
+
+describe("Sources", () => {
+  describe("parseSources()", () => {
+    it("should parse project/config entries with optional prefixes", () => {
+      const sources = parseSources(["shared/ci", "", "# comment", "  billing/ci:BILLING_  "]);
+      assert.deepStrictEqual(sources, [
+        { project: "shared", config: "ci", prefix: "" },
+        { project: "billing", config: "ci", prefix: "BILLING_" },
+      ]);
+    });
+
+    it("should reject malformed entries", () => {
+      assert.throws(() => parseSources(["shared"]), { message: /Invalid source "shared"/ });
+      assert.throws(() => parseSources(["shared/ci/extra"]), { message: /Invalid source/ });
+    });
+  });
+
+  describe("mergeSources()", () => {
+    it("should let later sources take precedence and report collisions", () => {
+      const shared = { project: "shared", config: "ci", prefix: "" };
+      const auth = { project: "auth-api", config: "ci", prefix: "" };
+      const { secrets, collisions } = mergeSources([
+        { source: shared, secrets: { LOG_LEVEL: { computed: "info" }, SENTRY_DSN: { computed: "dsn" } } },
+        { source: auth, secrets: { LOG_LEVEL: { computed: "debug" }, JWT_SECRET: { computed: "jwt" } } },
+      ]);
+
+      assert.strictEqual(secrets.LOG_LEVEL.computed, "debug");
+      assert.strictEqual(secrets.SENTRY_DSN.computed, "dsn");
+      assert.strictEqual(secrets.JWT_SECRET.computed, "jwt");
+      assert.deepStrictEqual(collisions, [{ key: "LOG_LEVEL", sources: ["shared/ci", "auth-api/ci"] }]);
+    });
+
+    it("should prefix secret names but not Doppler meta keys", () => {
+      const billing = { project: "billing", config: "ci", prefix: "BILLING_" };
+      const shared = { project: "shared", config: "ci", prefix: "" };
+      const { secrets, collisions } = mergeSources([
+        { source: shared, secrets: { DOPPLER_PROJECT: { computed: "shared" }, API_KEY: { computed: "a" } } },
+        { source: billing, secrets: { DOPPLER_PROJECT: { computed: "billing" }, API_KEY: { computed: "b" } } },
+      ]);
+
+      assert.deepStrictEqual(Object.keys(secrets).sort(), ["API_KEY", "BILLING_API_KEY", "DOPPLER_PROJECT"]);
+      assert.strictEqual(secrets.DOPPLER_PROJECT.computed, "billing");
+      assert.deepStrictEqual(collisions, []);
+    });
+  });
+});
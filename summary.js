@@ -0,0 +1,51 @@
+/**
+ * @typedef {Object} FetchReport
+ * @property {string} authMethod
+ * @property {Array<{ project: string, config: string, environment: string }>} configs - Each config fetched
+ * @property {Array<{ name: string, visibility: string, env: boolean }>} secrets - Each exposed secret, never its value
+ * @property {import("./doppler.js").RequestStats} stats
+ * @property {string} [source] - "api" (default), "snapshot" when the Doppler API was unavailable or "sealed" for unsealed secrets
+ * @property {string} [createdAt] - When the snapshot or sealed secrets were created
+ */
+
+/**
+ * Describe the config secrets were fetched from using the Doppler meta keys
+ * @param {Record<string, Record>} secrets - As returned by `fetch()`
+ * @returns {{ project: string, config: string, environment: string }}
+ */
+export function describeFetchedConfig(secrets) {
+  return {
+    project: secrets.DOPPLER_PROJECT?.computed ?? "",
+    config: secrets.DOPPLER_CONFIG?.computed ?? "",
+    environment: secrets.DOPPLER_ENVIRONMENT?.computed ?? "",
+  };
+}
+
+/**
+ * Add the details of a fetch to the job summary. Values are never included.
+ * @param {typeof import("@actions/core").summary} summary
+ * @param {FetchReport} report
+ * @returns {typeof import("@actions/core").summary}
+ */
+export function addFetchSummary(summary, { authMethod, configs, secrets, stats, source = "api", createdAt }) {
+  const header = (...cells) => cells.map((data) => ({ data, header: true }));
+  const seconds = (stats.duration / 1000).toFixed(2);
+
+  summary.addHeading("Doppler secrets", 3);
+  if (source === "snapshot") {
+    summary.addRaw(`<strong>The Doppler API was unavailable, secrets come from the snapshot taken at ${createdAt}.</strong>`, true);
+  }
+  summary.addTable([
+    header("Project", "Config", "Environment"),
+    ...configs.map(({ project, config, environment }) => [project, config, environment]),
+  ]);
+  if (source === "sealed") {
+    summary.addRaw(`Unsealed secrets sealed at ${createdAt}, Doppler was not called.`, true);
+  } else {
+    summary.addRaw(`Authenticated with <code>${authMethod}</code>. ${stats.requests} API request(s) took ${stats.attempts} attempt(s) and ${seconds}s.`, true);
+  }
+  return summary.addTable([
+    header("Secret", "Visibility", "Environment variable"),
+    ...secrets.map(({ name, visibility, env }) => [name, visibility, env ? "yes" : "no"]),
+  ]);
+}
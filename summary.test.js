@@ -0,0 +1,74 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { addFetchSummary, describeFetchedConfig } from "./summary.js";
+
+describe("Summary", () => {
+  describe("describeFetchedConfig()", () => {
+    it("should read the Doppler meta keys", () => {
+      const secrets = {
+        DOPPLER_PROJECT: { computed: "api" },
+        DOPPLER_CONFIG: { computed: "prd" },
+        DOPPLER_ENVIRONMENT: { computed: "prd" },
+      };
+      assert.deepStrictEqual(describeFetchedConfig(secrets), { project: "api", config: "prd", environment: "prd" });
+      assert.deepStrictEqual(describeFetchedConfig({}), { project: "", config: "", environment: "" });
+    });
+  });
+
+  describe("addFetchSummary()", () => {
+    it("should describe the fetch without values", () => {
+      const calls = [];
+      const summary = new Proxy({}, {
+        get: (_target, method) => (...args) => {
+          calls.push([method, ...args]);
+          return summary;
+        },
+      });
+
+      addFetchSummary(summary, {
+        authMethod: "oidc",
+        configs: [{ project: "api", config: "prd", environment: "prd" }],
+        secrets: [{ name: "API_KEY", visibility: "masked", env: true }],
+        stats: { requests: 2, attempts: 3, duration: 1500 },
+      });
+
+      assert.deepStrictEqual(calls.map(([method]) => method), ["addHeading", "addTable", "addRaw", "addTable"]);
+      assert.deepStrictEqual(calls[1][1][1], ["api", "prd", "prd"]);
+      assert.match(calls[2][1], /<code>oidc<\/code>\. 2 API request\(s\) took 3 attempt\(s\) and 1\.50s/);
+      assert.deepStrictEqual(calls[3][1][1], ["API_KEY", "masked", "yes"]);
+    });
+
+    it("should say where secrets come from when not fetched from the API", () => {
+      const raw = [];
+      const summary = {
+        addHeading: () => summary,
+        addTable: () => summary,
+        addRaw: (text) => {
+          raw.push(text);
+          return summary;
+        },
+      };
+
+      addFetchSummary(summary, {
+        authMethod: "token",
+        configs: [],
+        secrets: [],
+        stats: { requests: 1, attempts: 5, duration: 30000 },
+        source: "snapshot",
+        createdAt: "2024-05-01T12:00:00.000Z",
+      });
+      addFetchSummary(summary, {
+        authMethod: "token",
+        configs: [],
+        secrets: [],
+        stats: { requests: 0, attempts: 0, duration: 0 },
+        source: "sealed",
+        createdAt: "2024-05-01T12:00:00.000Z",
+      });
+
+      assert.match(raw[0], /The Doppler API was unavailable, secrets come from the snapshot taken at 2024-05-01T12:00:00.000Z/);
+      assert.match(raw[1], /Authenticated with <code>token<\/code>/);
+      assert.deepStrictEqual(raw[2], "Unsealed secrets sealed at 2024-05-01T12:00:00.000Z, Doppler was not called.");
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const PLACEHOLDER = /\{\{\s*\.([A-Za-z_][A-Za-z0-9_.-]*)\s*((?:\|\s*(?:[a-z]+(?:\s+"(?:[^"\\]|\\.)*")?)\s*)*)\}\}/g;
+const FILTER = /\|\s*([a-z]+)(?:\s+("(?:[^"\\]|\\.)*"))?/g;
+
+/**
+ * Render a template, replacing `{{ .KEY }}` placeholders with secret values. Placeholders accept filters:
+ * - `default "value"`: used when the secret doesn't exist
+ * - `json`: a JSON string literal, quotes included
+ * - `yaml`: a YAML double quoted scalar, quotes included
+ * @param {string} template
+ * @param {Record<string, string>} values
+ * @returns {string}
+ */
+export function render(template, values) {
+  const unknown = new Set();
+
+  const output = template.replace(PLACEHOLDER, (placeholder, key, filters) => {
+    let value = Object.hasOwn(values, key) ? values[key] : undefined;
+
+    for (const [, name, argument] of filters.matchAll(FILTER)) {
+      switch (name) {
+        case "default":
+          if (argument === undefined) {
+            throw new Error(`The default filter for ${key} requires a quoted value`);
+          }
+          value ??= JSON.parse(argument);
+          break;
+        case "json":
+        case "yaml":
+          // JSON strings are valid YAML double quoted scalars, escapes included
+          if (value !== undefined) {
+            value = JSON.stringify(value);
+          }
+          break;
+        default:
+          throw new Error(`Unknown template filter "${name}" for ${key}`);
+      }
+    }
+
+    if (value === undefined) {
+      unknown.add(key);
+      return placeholder;
+    }
+    return value;
+  });
+
+  if (unknown.size > 0) {
+    throw new Error(`Template references unknown secrets without a default: ${[...unknown].join(", ")}`);
+  }
+  return output;
+}
@@ -0,0 +1,38 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { render } from "./template.js";
+
+describe("Template", () => {
+  describe("render()", () => {
+    const values = { DB_HOST: "db.internal", DB_PASSWORD: 'p"ss\nword' };
+
+    it("should replace placeholders", () => {
+      assert.strictEqual(render("host={{ .DB_HOST }} again={{.DB_HOST}}", values), "host=db.internal again=db.internal");
+    });
+
+    it("should escape values for JSON and YAML", () => {
+      assert.strictEqual(render('{ "password": {{ .DB_PASSWORD | json }} }', values), '{ "password": "p\\"ss\\nword" }');
+      assert.deepStrictEqual(JSON.parse(render('{ "password": {{ .DB_PASSWORD | json }} }', values)), { password: 'p"ss\nword' });
+      assert.strictEqual(render("password: {{ .DB_PASSWORD | yaml }}", values), 'password: "p\\"ss\\nword"');
+    });
+
+    it("should use defaults for unknown secrets only", () => {
+      assert.strictEqual(render('{{ .PORT | default "5432" }} {{ .DB_HOST | default "localhost" }}', values), "5432 db.internal");
+      assert.strictEqual(render('{{ .NAME | default "a \\"b\\"" | json }}', values), '"a \\"b\\""');
+    });
+
+    it("should fail on unknown secrets without a default", () => {
+      assert.throws(() => render("{{ .MISSING }} {{ .DB_HOST }} {{ .OTHER | json }}", values), {
+        message: "Template references unknown secrets without a default: MISSING, OTHER",
+      });
+    });
+
+    it("should fail on unknown filters", () => {
+      assert.throws(() => render("{{ .DB_HOST | upper }}", values), { message: 'Unknown template filter "upper" for DB_HOST' });
+    });
+
+    it("should leave other braces alone", () => {
+      assert.strictEqual(render("{{ not a placeholder }} ${HOME} {{ .DB_HOST }}", values), "{{ not a placeholder }} ${HOME} db.internal");
+    });
+  });
+});
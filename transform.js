@@ -0,0 +1,106 @@
+import { DOPPLER_META } from "./doppler.js";
+
+export const KEY_CASES = ["upper", "lower", "camel", "snake"];
+
+/**
+ * @typedef {Object} KeyTransform
+ * @property {string} [prefix]
+ * @property {string} [suffix]
+ * @property {string} [keyCase] - One of KEY_CASES
+ * @property {Record<string, string>} [rename] - Explicit names, used verbatim instead of the other options
+ */
+
+/**
+ * Parse `FROM=TO` entries, one per line. Blank lines and lines starting with `#` are ignored.
+ * @param {string[]} lines
+ * @returns {Record<string, string>}
+ */
+export function parseRenames(lines) {
+  const rename = {};
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+
+    const match = line.match(/^([^=\s]+)\s*=\s*(\S+)$/);
+    if (!match) {
+      throw new Error(`Invalid rename "${line}", expected "FROM=TO"`);
+    }
+    rename[match[1]] = match[2];
+  }
+  return rename;
+}
+
+/**
+ * Split a name into lowercase words on underscores, dashes, dots, whitespace and camelCase boundaries
+ * @param {string} name
+ * @returns {string[]}
+ */
+function words(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .split(/[_\-.\s]+/)
+    .filter(Boolean)
+    .map((word) => word.toLowerCase());
+}
+
+/**
+ * @param {string} name
+ * @param {string} keyCase
+ * @returns {string}
+ */
+export function convertCase(name, keyCase) {
+  switch (keyCase) {
+    case "upper":
+      return name.toUpperCase();
+    case "lower":
+      return name.toLowerCase();
+    case "snake":
+      return words(name).join("_");
+    case "camel":
+      return words(name).map((word, i) => (i === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1))).join("");
+    default:
+      throw new Error(`Unsupported key case "${keyCase}", expected one of ${KEY_CASES.join(", ")}`);
+  }
+}
+
+/**
+ * Compute the exported name of a secret. Doppler meta keys are never transformed.
+ * @param {string} name
+ * @param {KeyTransform} transform
+ * @returns {string}
+ */
+export function transformKey(name, { prefix = "", suffix = "", keyCase = "", rename = {} }) {
+  if (DOPPLER_META.includes(name)) {
+    return name;
+  }
+  if (Object.hasOwn(rename, name)) {
+    return rename[name];
+  }
+  const converted = keyCase ? convertCase(name, keyCase) : name;
+  return `${prefix}${converted}${suffix}`;
+}
+
+/**
+ * Rename every secret in the map
+ * @param {Record<string, Record>} secrets
+ * @param {KeyTransform} transform
+ * @returns {{ secrets: Record<string, Record>, collisions: Array<{ key: string, sources: string[] }> }}
+ */
+export function transformSecrets(secrets, transform) {
+  const transformed = {};
+  const origins = {};
+
+  for (const [name, secret] of Object.entries(secrets)) {
+    const key = transformKey(name, transform);
+    transformed[key] = secret;
+    (origins[key] ||= []).push(name);
+  }
+
+  const collisions = Object.entries(origins)
+    .filter(([, sources]) => sources.length > 1)
+    .map(([key, sources]) => ({ key, sources }));
+
+  return { secrets: transformed, collisions };
+}
@@ -0,0 +1,56 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { convertCase, parseRenames, transformKey, transformSecrets } from "./transform.js";
+
+describe("Key Transforms", () => {
+  describe("convertCase()", () => {
+    it("should convert between cases", () => {
+      assert.strictEqual(convertCase("databaseUrl", "upper"), "DATABASEURL");
+      assert.strictEqual(convertCase("DATABASE_URL", "lower"), "database_url");
+      assert.strictEqual(convertCase("DATABASE_URL", "camel"), "databaseUrl");
+      assert.strictEqual(convertCase("databaseURL-primary", "snake"), "database_url_primary");
+    });
+
+    it("should reject unknown cases", () => {
+      assert.throws(() => convertCase("KEY", "kebab"), { message: /Unsupported key case "kebab"/ });
+    });
+  });
+
+  describe("parseRenames()", () => {
+    it("should parse FROM=TO entries", () => {
+      assert.deepStrictEqual(parseRenames(["DATABASE_URL = TF_VAR_database_url", "", "# comment"]), {
+        DATABASE_URL: "TF_VAR_database_url",
+      });
+    });
+
+    it("should reject malformed entries", () => {
+      assert.throws(() => parseRenames(["DATABASE_URL"]), { message: /Invalid rename "DATABASE_URL"/ });
+    });
+  });
+
+  describe("transformKey()", () => {
+    it("should apply case conversion before the prefix and suffix", () => {
+      assert.strictEqual(transformKey("API_KEY", { prefix: "TF_VAR_", suffix: "_v2", keyCase: "lower" }), "TF_VAR_api_key_v2");
+    });
+
+    it("should use renamed keys verbatim", () => {
+      const transform = { prefix: "BILLING_", rename: { DATABASE_URL: "TF_VAR_database_url" } };
+      assert.strictEqual(transformKey("DATABASE_URL", transform), "TF_VAR_database_url");
+      assert.strictEqual(transformKey("API_KEY", transform), "BILLING_API_KEY");
+    });
+
+    it("should never transform Doppler meta keys", () => {
+      assert.strictEqual(transformKey("DOPPLER_CONFIG", { prefix: "BILLING_", keyCase: "camel" }), "DOPPLER_CONFIG");
+    });
+  });
+
+  describe("transformSecrets()", () => {
+    it("should report keys that collide after transforming", () => {
+      const { collisions } = transformSecrets(
+        { API_KEY: { computed: "a" }, apiKey: { computed: "b" }, OTHER: { computed: "c" } },
+        { keyCase: "snake" }
+      );
+      assert.deepStrictEqual(collisions, [{ key: "api_key", sources: ["API_KEY", "apiKey"] }]);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import fs from "fs";
+
+export const VALUE_TYPES = ["url", "json", "integer"];
+export const UNAVAILABLE_POLICIES = ["empty", "skip", "warn", "fail"];
+const SCHEMA_OPTIONS = ["nonEmpty", "minLength", "pattern", "type"];
+
+/**
+ * @typedef {Object} Rule
+ * @property {string} key
+ * @property {boolean} [nonEmpty]
+ * @property {number} [minLength]
+ * @property {RegExp} [pattern]
+ * @property {string} [type] - One of VALUE_TYPES
+ */
+
+/**
+ * Build a rule, checking each option
+ * @param {string} key
+ * @param {{ nonEmpty?: boolean, minLength?: number, pattern?: string, type?: string }} options
+ * @returns {Rule}
+ */
+function createRule(key, { nonEmpty, minLength, pattern, type }) {
+  const rule = { key };
+  if (nonEmpty) {
+    rule.nonEmpty = true;
+  }
+  if (minLength !== undefined) {
+    if (!Number.isInteger(minLength) || minLength < 0) {
+      throw new Error(`Invalid min-length for ${key}, expected a non-negative integer`);
+    }
+    rule.minLength = minLength;
+  }
+  if (pattern !== undefined) {
+    try {
+      rule.pattern = new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid pattern for ${key}: ${error.message}`);
+    }
+  }
+  if (type !== undefined) {
+    if (!VALUE_TYPES.includes(type)) {
+      throw new Error(`Invalid type for ${key}, expected one of ${VALUE_TYPES.join(", ")}`);
+    }
+    rule.type = type;
+  }
+  return rule;
+}
+
+/**
+ * Parse `KEY [non-empty] [min-length=N] [pattern=REGEX] [type=url|json|integer]` entries, one per line.
+ * Blank lines and lines starting with `#` are ignored. Patterns cannot contain whitespace.
+ * @param {string[]} lines
+ * @returns {Rule[]}
+ */
+export function parseRules(lines) {
+  const rules = [];
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+
+    const [key, ...tokens] = line.split(/\s+/);
+    const options = {};
+    for (const token of tokens) {
+      const [name, ...rest] = token.split("=");
+      const value = rest.join("=");
+      if (name === "non-empty" && !value) {
+        options.nonEmpty = true;
+      } else if (name === "min-length" && value) {
+        options.minLength = Number(value);
+      } else if (name === "pattern" && value) {
+        options.pattern = value;
+      } else if (name === "type" && value) {
+        options.type = value;
+      } else {
+        throw new Error(`Invalid rule "${token}" for ${key}`);
+      }
+    }
+    rules.push(createRule(key, options));
+  }
+  return rules;
+}
+
+/**
+ * Read rules from a JSON schema file mapping each secret name to its options, e.g.
+ * `{ "STRIPE_KEY": { "nonEmpty": true, "pattern": "^sk_" }, "PORT": { "type": "integer" } }`
+ * @param {string} filePath
+ * @returns {Rule[]}
+ */
+export function readSchema(filePath) {
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Unable to read schema ${filePath}: ${error.message}`);
+  }
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    throw new Error(`Invalid schema ${filePath}, expected an object mapping secret names to rules`);
+  }
+  return Object.entries(schema).map(([key, options = {}]) => {
+    const unknown = Object.keys(options || {}).filter((name) => !SCHEMA_OPTIONS.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid schema ${filePath}, unknown rules for ${key}: ${unknown.join(", ")}`);
+    }
+    return createRule(key, options || {});
+  });
+}
+
+/**
+ * @param {string} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case "url":
+      try {
+        new URL(value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    case "json":
+      try {
+        JSON.parse(value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    case "integer":
+      return /^[+-]?\d+$/.test(value.trim());
+  }
+}
+
+/**
+ * Check the secrets against every rule. Problems only ever describe the rule, never the value.
+ * @param {Record<string, Record>} secrets
+ * @param {Rule[]} rules
+ * @returns {Array<{ key: string, problem: string }>}
+ */
+export function validateSecrets(secrets, rules) {
+  const problems = [];
+  for (const rule of rules) {
+    const { key } = rule;
+    if (!(key in secrets)) {
+      problems.push({ key, problem: "missing" });
+      continue;
+    }
+
+    const value = secrets[key].computed ?? "";
+    if (rule.nonEmpty && value === "") {
+      problems.push({ key, problem: "empty" });
+      continue;
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      problems.push({ key, problem: `shorter than ${rule.minLength} characters` });
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      problems.push({ key, problem: "does not match pattern" });
+    }
+    if (rule.type && !hasType(value, rule.type)) {
+      problems.push({ key, problem: `not a valid ${rule.type}` });
+    }
+  }
+  return problems;
+}
+
+/**
+ * List the secrets whose value Doppler didn't return, either because their visibility is restricted or because the value is null
+ * @param {Record<string, Record>} secrets
+ * @returns {string[]}
+ */
+export function findUnavailable(secrets) {
+  return Object.entries(secrets)
+    .filter(([, secret]) => secret.computedVisibility === "restricted" || secret.computed === null || secret.computed === undefined)
+    .map(([key]) => key);
+}
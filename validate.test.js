@@ -0,0 +1,92 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { findUnavailable, parseRules, readSchema, validateSecrets } from "./validate.js";
+
+describe("Validation", () => {
+  describe("parseRules()", () => {
+    it("should parse keys with optional rules", () => {
+      const rules = parseRules(["STRIPE_KEY non-empty min-length=8 pattern=^sk_(live|test)_", "", "# comment", "PORT type=integer"]);
+      assert.strictEqual(rules.length, 2);
+      assert.strictEqual(rules[0].key, "STRIPE_KEY");
+      assert.strictEqual(rules[0].nonEmpty, true);
+      assert.strictEqual(rules[0].minLength, 8);
+      assert.deepStrictEqual(rules[0].pattern, /^sk_(live|test)_/);
+      assert.deepStrictEqual(rules[1], { key: "PORT", type: "integer" });
+    });
+
+    it("should reject unknown or malformed rules", () => {
+      assert.throws(() => parseRules(["KEY max-length=3"]), { message: 'Invalid rule "max-length=3" for KEY' });
+      assert.throws(() => parseRules(["KEY type=uuid"]), { message: /Invalid type for KEY/ });
+      assert.throws(() => parseRules(["KEY min-length=abc"]), { message: /Invalid min-length for KEY/ });
+      assert.throws(() => parseRules(["KEY pattern=("]), { message: /Invalid pattern for KEY/ });
+    });
+  });
+
+  describe("readSchema()", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "doppler-schema-"));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("should read rules from a JSON file", () => {
+      const schemaPath = path.join(dir, "schema.json");
+      fs.writeFileSync(schemaPath, JSON.stringify({ STRIPE_KEY: { nonEmpty: true, pattern: "^sk_" }, API_KEY: {} }));
+      assert.deepStrictEqual(readSchema(schemaPath), [
+        { key: "STRIPE_KEY", nonEmpty: true, pattern: /^sk_/ },
+        { key: "API_KEY" },
+      ]);
+    });
+
+    it("should reject unknown rules", () => {
+      const schemaPath = path.join(dir, "unknown.json");
+      fs.writeFileSync(schemaPath, JSON.stringify({ STRIPE_KEY: { required: true } }));
+      assert.throws(() => readSchema(schemaPath), { message: /unknown rules for STRIPE_KEY: required/ });
+    });
+  });
+
+  describe("validateSecrets()", () => {
+    it("should report every offending key without revealing values", () => {
+      const secrets = {
+        STRIPE_KEY: { computed: "" },
+        SHORT: { computed: "hunter2" },
+        DATABASE_URL: { computed: "not a url" },
+        CONFIG: { computed: "{\"a\":1}" },
+        PORT: { computed: "8080" },
+        NULLED: { computed: null },
+      };
+      const rules = parseRules([
+        "STRIPE_KEY non-empty",
+        "SHORT min-length=10 pattern=^sk_",
+        "DATABASE_URL type=url",
+        "CONFIG type=json",
+        "PORT type=integer",
+        "NULLED non-empty",
+        "MISSING",
+      ]);
+
+      const problems = validateSecrets(secrets, rules);
+      assert.deepStrictEqual(problems, [
+        { key: "STRIPE_KEY", problem: "empty" },
+        { key: "SHORT", problem: "shorter than 10 characters" },
+        { key: "SHORT", problem: "does not match pattern" },
+        { key: "DATABASE_URL", problem: "not a valid url" },
+        { key: "NULLED", problem: "empty" },
+        { key: "MISSING", problem: "missing" },
+      ]);
+      assert.ok(!JSON.stringify(problems).includes("hunter2"));
+    });
+  });
+
+  describe("findUnavailable()", () => {
+    it("should list restricted and null-valued secrets", () => {
+      const secrets = {
+        API_KEY: { computed: "a", computedVisibility: "masked" },
+        EMPTY: { computed: "", computedVisibility: "masked" },
+        RESTRICTED: { computed: null, computedVisibility: "restricted" },
+        NULLED: { computed: null, computedVisibility: "masked" },
+      };
+      assert.deepStrictEqual(findUnavailable(secrets), ["RESTRICTED", "NULLED"]);
+    });
+  });
+});
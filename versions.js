@@ -0,0 +1,110 @@
+import { fetch, getLatestConfigLog, listConfigLogs } from "./doppler.js";
+
+export const VERSION_MISMATCH_MODES = ["warn", "fail"];
+
+const LOGS_PER_PAGE = 20;
+
+/**
+ * Fetch the secrets of a config along with its version. The version is read before and after the secrets, so a change
+ * made in between isn't attributed to the wrong version.
+ * @param {string} dopplerToken
+ * @param {string} dopplerProject
+ * @param {string} dopplerConfig
+ * @param {string} apiDomain
+ * @param {import("./doppler.js").RequestOptions} [options]
+ * @returns {Promise<{ secrets: Record<string, Record>, version: string }>} `version` is empty for a config without logs
+ */
+export async function fetchVersioned(dopplerToken, dopplerProject, dopplerConfig, apiDomain, options = {}) {
+  const before = await getLatestConfigLog(dopplerToken, dopplerProject, dopplerConfig, apiDomain, options);
+  const secrets = await fetch(dopplerToken, dopplerProject, dopplerConfig, apiDomain, options);
+  const after = await getLatestConfigLog(dopplerToken, dopplerProject, dopplerConfig, apiDomain, options);
+
+  if (before?.id !== after?.id) {
+    throw new Error(`Config ${dopplerProject}/${dopplerConfig} changed while its secrets were fetched, run the step again`);
+  }
+  return { secrets, version: after?.id ?? "" };
+}
+
+/**
+ * Names of the secrets of the same config referenced by a value, e.g. `DB_HOST` for `${DB_HOST}`
+ * @param {string} value
+ * @returns {string[]}
+ */
+function localReferences(value) {
+  return [...value.matchAll(/\$\{([^}.]+)\}/g)].map((match) => match[1]);
+}
+
+/**
+ * Rebuild the secrets of a config as they were at a pinned version, by walking its logs back from the fetched version
+ * and undoing the changes each one records
+ * @param {string} dopplerToken
+ * @param {string} dopplerProject
+ * @param {string} dopplerConfig
+ * @param {Record<string, Record>} secrets - As fetched by `fetchVersioned()`
+ * @param {string} fetched - The version of `secrets`
+ * @param {string} pinned - Log ID of the version to rebuild
+ * @param {string} apiDomain
+ * @param {import("./doppler.js").RequestOptions} [options]
+ * @returns {Promise<{ secrets: Record<string, Record>, mismatch: string | null }>} `mismatch` explains why the version
+ * can't be rebuilt, in which case `secrets` are the fetched ones
+ */
+export async function rebuildVersion(dopplerToken, dopplerProject, dopplerConfig, secrets, fetched, pinned, apiDomain, options = {}) {
+  const name = `${dopplerProject}/${dopplerConfig}`;
+  if (pinned === fetched) {
+    return { secrets, mismatch: null };
+  }
+
+  const rebuilt = { ...secrets };
+  const changed = new Set();
+  // A change made while paging shifts the logs, so a log may show up on two pages
+  const seen = new Set();
+  let reachedFetched = false;
+  for (let page = 1; ; page++) {
+    const logs = await listConfigLogs(dopplerToken, dopplerProject, dopplerConfig, page, LOGS_PER_PAGE, apiDomain, options);
+    for (const log of logs) {
+      if (seen.has(log.id)) {
+        continue;
+      }
+      seen.add(log.id);
+      // Logs newer than the fetched version aren't part of the fetched secrets
+      reachedFetched ||= log.id === fetched;
+      if (!reachedFetched) {
+        continue;
+      }
+      if (log.id === pinned) {
+        // Doppler only resolves references against current values
+        const unresolved = Object.entries(rebuilt)
+          .filter(([key, secret]) => {
+            const raw = secret.raw ?? "";
+            return (changed.has(key) && raw.includes("${")) || localReferences(raw).some((reference) => changed.has(reference));
+          })
+          .map(([key]) => key);
+        if (unresolved.length > 0) {
+          return { secrets, mismatch: `Config ${name} can't be rebuilt at version ${pinned}, these secrets use references: ${unresolved.join(", ")}` };
+        }
+        return { secrets: rebuilt, mismatch: null };
+      }
+
+      for (const entry of log.diff ?? []) {
+        if (!("added" in entry) && !("removed" in entry)) {
+          // E.g. restricted secrets, whose values the logs don't record
+          return { secrets, mismatch: `Config ${name} can't be rebuilt at version ${pinned}, log ${log.id} doesn't record the value of ${entry.name}` };
+        }
+        changed.add(entry.name);
+        if (entry.removed === undefined || entry.removed === null) {
+          delete rebuilt[entry.name];
+        } else {
+          rebuilt[entry.name] = {
+            raw: entry.removed,
+            computed: entry.removed,
+            computedVisibility: secrets[entry.name]?.computedVisibility ?? "masked",
+          };
+        }
+      }
+    }
+
+    if (logs.length < LOGS_PER_PAGE) {
+      return { secrets, mismatch: `Config ${name} has no version ${pinned}, fetched version ${fetched || "(none)"}` };
+    }
+  }
+}
@@ -0,0 +1,85 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert";
+import https from "https";
+import { fetchVersioned, rebuildVersion } from "./versions.js";
+import { updateSecrets } from "./doppler.js";
+import { mockDoppler } from "./mock-doppler.js";
+
+describe("Versions", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe("fetchVersioned()", () => {
+    it("should return the secrets with the latest log ID", async () => {
+      mockDoppler({ api: { prd: { API_KEY: "a" } } });
+      await updateSecrets("dp.sa.token", "api", "prd", { API_KEY: "b" }, "api.doppler.com");
+
+      const { secrets, version } = await fetchVersioned("dp.sa.token", "api", "prd", "api.doppler.com");
+      assert.strictEqual(secrets.API_KEY.computed, "b");
+      assert.strictEqual(version, "prd-2");
+    });
+
+    it("should fail when the config changes during the fetch", async () => {
+      const { logs } = mockDoppler({ api: { prd: { API_KEY: "a" } } });
+      // A write lands while the secrets are fetched
+      const get = https.get;
+      mock.method(https, "get", (url, options, callback) => {
+        logs["api/prd"].unshift({ id: "prd-2", created_at: "2024-01-02T00:00:00.000Z" });
+        return get(url, options, callback);
+      });
+
+      await assert.rejects(fetchVersioned("dp.sa.token", "api", "prd", "api.doppler.com"), {
+        message: "Config api/prd changed while its secrets were fetched, run the step again",
+      });
+    });
+  });
+
+  describe("rebuildVersion()", () => {
+    it("should undo the changes made since the pinned version", async () => {
+      const { projects, logs } = mockDoppler({ api: { prd: { API_KEY: "a", OLD_KEY: "old" } } });
+      await updateSecrets("dp.sa.token", "api", "prd", { API_KEY: "b", NEW_KEY: "new" }, "api.doppler.com");
+      await updateSecrets("dp.sa.token", "api", "prd", { API_KEY: "c" }, "api.doppler.com");
+      // Deleted, which updateSecrets() can't do
+      delete projects.api.prd.OLD_KEY;
+      logs["api/prd"].unshift({ id: "prd-4", created_at: "2024-01-04T00:00:00.000Z", diff: [{ name: "OLD_KEY", removed: "old" }] });
+      const { secrets, version } = await fetchVersioned("dp.sa.token", "api", "prd", "api.doppler.com");
+
+      const rebuilt = await rebuildVersion("dp.sa.token", "api", "prd", secrets, version, "prd-1", "api.doppler.com");
+      assert.strictEqual(rebuilt.mismatch, null);
+      assert.deepStrictEqual(Object.fromEntries(Object.entries(rebuilt.secrets).map(([key, secret]) => [key, secret.computed])), { API_KEY: "a", OLD_KEY: "old" });
+
+      const middle = await rebuildVersion("dp.sa.token", "api", "prd", secrets, version, "prd-2", "api.doppler.com");
+      assert.strictEqual(middle.secrets.API_KEY.computed, "b");
+      assert.strictEqual(middle.secrets.NEW_KEY.computed, "new");
+    });
+
+    it("should page through the logs", async () => {
+      mockDoppler({ api: { prd: { COUNTER: "0" } } });
+      for (let i = 1; i <= 25; i++) {
+        await updateSecrets("dp.sa.token", "api", "prd", { COUNTER: String(i) }, "api.doppler.com");
+      }
+      const { secrets, version } = await fetchVersioned("dp.sa.token", "api", "prd", "api.doppler.com");
+
+      const rebuilt = await rebuildVersion("dp.sa.token", "api", "prd", secrets, version, "prd-1", "api.doppler.com");
+      assert.strictEqual(rebuilt.secrets.COUNTER.computed, "0");
+    });
+
+    it("should explain why a version can't be rebuilt", async () => {
+      const { logs } = mockDoppler({ api: { prd: { API_KEY: "a", URL: "https://${API_KEY}@example.com" } } });
+      await updateSecrets("dp.sa.token", "api", "prd", { API_KEY: "b" }, "api.doppler.com");
+      const { secrets, version } = await fetchVersioned("dp.sa.token", "api", "prd", "api.doppler.com");
+
+      const unknown = await rebuildVersion("dp.sa.token", "api", "prd", secrets, version, "unknown", "api.doppler.com");
+      assert.strictEqual(unknown.mismatch, "Config api/prd has no version unknown, fetched version prd-2");
+      assert.strictEqual(unknown.secrets, secrets);
+
+      const references = await rebuildVersion("dp.sa.token", "api", "prd", secrets, version, "prd-1", "api.doppler.com");
+      assert.strictEqual(references.mismatch, "Config api/prd can't be rebuilt at version prd-1, these secrets use references: URL");
+
+      logs["api/prd"].unshift({ id: "prd-3", created_at: "2024-01-03T00:00:00.000Z", diff: [{ name: "RESTRICTED" }] });
+      const restricted = await rebuildVersion("dp.sa.token", "api", "prd", secrets, "prd-3", "prd-2", "api.doppler.com");
+      assert.strictEqual(restricted.mismatch, "Config api/prd can't be rebuilt at version prd-2, log prd-3 doesn't record the value of RESTRICTED");
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import fs from "fs";
+import { parseDotenv } from "./formats.js";
+
+/**
+ * Read the values to write from a dotenv or JSON file, picked by the `.json` extension
+ * @param {string} filePath
+ * @returns {Record<string, string>}
+ */
+export function readValuesFile(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  if (!filePath.endsWith(".json")) {
+    return parseDotenv(text);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    // Don't include the parser message, it may quote part of a value
+    throw new Error(`Unable to parse ${filePath} as JSON`);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`Invalid ${filePath}, expected an object mapping secret names to values`);
+  }
+
+  const values = {};
+  for (const [key, value] of Object.entries(parsed)) {
+    if (value === null || typeof value === "object") {
+      throw new Error(`Invalid value for ${key} in ${filePath}, expected a string, number or boolean`);
+    }
+    values[key] = String(value);
+  }
+  return values;
+}
+
+/**
+ * Compare the values to write with the secrets currently in the config
+ * @param {Record<string, Record>} current - As returned by `fetch()`
+ * @param {Record<string, string>} values
+ * @returns {{ added: string[], changed: string[], unchanged: string[] }}
+ */
+export function diffValues(current, values) {
+  const diff = { added: [], changed: [], unchanged: [] };
+  for (const [key, value] of Object.entries(values)) {
+    if (!(key in current)) {
+      diff.added.push(key);
+    } else if ((current[key].raw ?? current[key].computed) !== value) {
+      diff.changed.push(key);
+    } else {
+      diff.unchanged.push(key);
+    }
+  }
+  return diff;
+}
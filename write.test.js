@@ -0,0 +1,72 @@
+import { describe, it, mock, after, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fetch, updateSecrets } from "./doppler.js";
+import { mockDoppler } from "./mock-doppler.js";
+import { diffValues, readValuesFile } from "./write.js";
+
+describe("Write", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "doppler-write-"));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe("readValuesFile()", () => {
+    it("should read dotenv files", () => {
+      const filePath = path.join(dir, "generated.env");
+      fs.writeFileSync(filePath, 'DB_PASSWORD="s3cr3t"\nDEPLOY_URL=https://example.com\n');
+      assert.deepStrictEqual(readValuesFile(filePath), { DB_PASSWORD: "s3cr3t", DEPLOY_URL: "https://example.com" });
+    });
+
+    it("should read JSON files and stringify scalars", () => {
+      const filePath = path.join(dir, "generated.json");
+      fs.writeFileSync(filePath, JSON.stringify({ DB_PASSWORD: "s3cr3t", PORT: 5432, ENABLED: true }));
+      assert.deepStrictEqual(readValuesFile(filePath), { DB_PASSWORD: "s3cr3t", PORT: "5432", ENABLED: "true" });
+    });
+
+    it("should reject nested JSON values", () => {
+      const filePath = path.join(dir, "nested.json");
+      fs.writeFileSync(filePath, JSON.stringify({ DB: { password: "s3cr3t" } }));
+      assert.throws(() => readValuesFile(filePath), { message: /Invalid value for DB/ });
+    });
+  });
+
+  describe("diffValues()", () => {
+    it("should classify added, changed and unchanged keys", () => {
+      const current = {
+        DB_PASSWORD: { raw: "old", computed: "old" },
+        DEPLOY_URL: { raw: "https://example.com", computed: "https://example.com" },
+      };
+      assert.deepStrictEqual(diffValues(current, { DB_PASSWORD: "new", DEPLOY_URL: "https://example.com", API_KEY: "abc" }), {
+        added: ["API_KEY"],
+        changed: ["DB_PASSWORD"],
+        unchanged: ["DEPLOY_URL"],
+      });
+    });
+
+    it("should compare raw values so references aren't reported as changed", () => {
+      const current = { DATABASE_URL: { raw: "${HOST}/db", computed: "localhost/db" } };
+      assert.deepStrictEqual(diffValues(current, { DATABASE_URL: "${HOST}/db" }).unchanged, ["DATABASE_URL"]);
+    });
+  });
+
+  describe("updateSecrets()", () => {
+    it("should upsert values in the config", async () => {
+      const api = mockDoppler({ db: { prd: { DB_PASSWORD: "old" } } });
+
+      await updateSecrets("dp.sa.test", "db", "prd", { DB_PASSWORD: "new", DEPLOY_URL: "https://example.com" }, "api.doppler.com");
+      assert.deepStrictEqual(api.requests[0].body, {
+        project: "db",
+        config: "prd",
+        secrets: { DB_PASSWORD: "new", DEPLOY_URL: "https://example.com" },
+      });
+
+      const secrets = await fetch("dp.sa.test", "db", "prd", "api.doppler.com");
+      assert.strictEqual(secrets.DB_PASSWORD.computed, "new");
+      assert.strictEqual(secrets.DEPLOY_URL.computed, "https://example.com");
+    });
+  });
+});